@@ -0,0 +1,424 @@
+import {
+  ADMIN_API_TOKEN,
+  ADMIN_API_HOST,
+  ADMIN_API_PORT,
+  FOOD_LIST_PATH,
+} from "./config.js";
+import {
+  logger,
+  loadFoodEntries,
+  sortFoodEntries,
+  addFoodToList,
+  removeFoodByIndex,
+  parseFoodLine,
+  formatFoodLine,
+  getAllAdmins,
+  addAdmin,
+  removeAdmin,
+  getAllRestrictedUsers,
+  addRestrictedUser,
+  removeRestrictedUser,
+  loadFoodCache,
+  loadUserDirectory,
+  findUserIdByUsername,
+  parseDuration,
+  formatUserLabel,
+} from "./utils.js";
+import { recordAudit } from "./audit.js";
+import { recordFoodRevision } from "./foodRevisions.js";
+import {
+  secretsMatch,
+  readBody,
+  sendJson,
+  startServer,
+  stopServer,
+} from "./httpUtils.js";
+
+// Actor of changes made through the API: no Telegram user, flagged instead of
+// named, as any name could also be a Telegram username
+const API_ACTOR = { id: null, username: null, api: true };
+
+// The running API server, if any
+let server = null;
+
+/**
+ * Build the message-like object recordAudit and recordFoodRevision expect
+ * @param {http.IncomingMessage} req - Request that made the change
+ * @param {number|null} chatId - Chat the change is made for, see getChatParam
+ * @returns {Object} Object with from, chat and text
+ */
+function apiMessage(req, chatId = null) {
+  return {
+    from: API_ACTOR,
+    chat: { id: chatId },
+    text: `${req.method} ${req.url}`,
+  };
+}
+
+/**
+ * Get the chat a food change is made for, from the "chat" query parameter
+ * /undo in that chat can revert the change
+ * @param {http.IncomingMessage} req - Request
+ * @returns {number|null|undefined} Chat ID, null if not given or undefined if invalid
+ */
+function getChatParam(req) {
+  const value = new URL(req.url, "http://localhost").searchParams.get("chat");
+  if (value === null) return null;
+  return /^-?\d+$/.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * Resolve a user given in the request path, e.g. DELETE /admins/%40alice
+ * @param {string} param - Path parameter
+ * @returns {{id: number|null, username: string|null}|null} Target user, or null if the parameter is malformed
+ */
+function resolvePathUser(param) {
+  try {
+    return resolveUser(decodeURIComponent(param));
+  } catch {
+    // URIError of a malformed escape such as "%E0%A4%A"
+    return null;
+  }
+}
+
+/**
+ * Resolve a user given as a numeric ID or a username (with or without @)
+ * @param {string|number} value - User ID or username
+ * @returns {{id: number|null, username: string|null}|null} Target user or null
+ */
+function resolveUser(value) {
+  const text = String(value ?? "").trim();
+
+  if (/^\d+$/.test(text)) {
+    const username = loadUserDirectory()[text]?.username || null;
+    return { id: Number(text), username };
+  }
+
+  const username = text.replace(/^@/, "");
+  if (!/^\w+$/.test(username)) return null;
+
+  const id = findUserIdByUsername(username);
+  const known = id !== null ? loadUserDirectory()[String(id)] : null;
+  return { id, username: known?.username || username };
+}
+
+/**
+ * Resolve the user of a request body ({id} or {username})
+ * @param {Object} body - Parsed request body
+ * @returns {{id: number|null, username: string|null}|null} Target user or null
+ */
+function resolveBodyUser(body) {
+  return resolveUser(body?.id ?? body?.username);
+}
+
+/**
+ * Turn a food of a POST /foods body into a food list line
+ * @param {string|{name: string, tags?: string[]}} item - "Phở #noodle" or {name, tags}
+ * @returns {string} Food list line
+ */
+function toFoodLine(item) {
+  if (typeof item === "string") return item;
+
+  return formatFoodLine({
+    name: String(item?.name ?? ""),
+    tags: Array.isArray(item?.tags)
+      ? item.tags.map((tag) => String(tag).replace(/^#/, "").toLowerCase())
+      : [],
+  });
+}
+
+/**
+ * GET /foods - List the foods, numbered like /foodlist
+ */
+function listFoods(req, res) {
+  const entries = sortFoodEntries(loadFoodEntries(FOOD_LIST_PATH));
+  sendJson(res, 200, {
+    foods: entries.map((entry, i) => ({ index: i + 1, ...entry })),
+  });
+}
+
+/**
+ * POST /foods - Add one food or an array of foods
+ */
+function addFoods(req, res, body) {
+  const chatId = getChatParam(req);
+  if (chatId === undefined) {
+    sendJson(res, 400, { error: "chat must be a chat ID" });
+    return;
+  }
+
+  const items = Array.isArray(body) ? body : [body];
+  const added = [];
+  const skipped = [];
+
+  for (const item of items) {
+    const line = toFoodLine(item);
+    const entry = parseFoodLine(line.trim());
+
+    if (entry.name && addFoodToList(line, FOOD_LIST_PATH)) {
+      added.push(entry);
+      recordAudit(
+        apiMessage(req, chatId),
+        "addfood",
+        null,
+        formatFoodLine(entry),
+      );
+    } else {
+      skipped.push(entry.name);
+    }
+  }
+
+  recordFoodRevision(apiMessage(req, chatId), "addfood", { added });
+  sendJson(res, added.length > 0 ? 201 : 409, { added, skipped });
+}
+
+/**
+ * DELETE /foods/:index - Remove a food by its /foodlist number
+ */
+function deleteFood(req, res, body, index) {
+  const chatId = getChatParam(req);
+  if (chatId === undefined) {
+    sendJson(res, 400, { error: "chat must be a chat ID" });
+    return;
+  }
+
+  const result = removeFoodByIndex(parseInt(index, 10), FOOD_LIST_PATH);
+
+  if (!result.success) {
+    sendJson(res, 404, { error: result.message });
+    return;
+  }
+
+  recordAudit(apiMessage(req, chatId), "removefood", result.food, null);
+  recordFoodRevision(apiMessage(req, chatId), "removefood", {
+    removed: result.removed,
+  });
+  sendJson(res, 200, { removed: result.removed[0] });
+}
+
+/**
+ * GET /admins - List the admins
+ */
+function listAdmins(req, res) {
+  sendJson(res, 200, { admins: getAllAdmins() });
+}
+
+/**
+ * POST /admins - Add an admin ({id} or {username})
+ */
+async function createAdmin(req, res, body, param, router) {
+  const target = resolveBodyUser(body);
+  if (!target) {
+    sendJson(res, 400, { error: "Body needs an id or a username" });
+    return;
+  }
+  if (target.id === null) {
+    sendJson(res, 404, {
+      error: "Unknown user, the bot has not seen them yet",
+    });
+    return;
+  }
+
+  const result = addAdmin(target);
+  if (!result.success) {
+    sendJson(res, 409, { error: result.message });
+    return;
+  }
+
+  recordAudit(apiMessage(req), "addadmin", null, target);
+  await router.syncCommandMenus();
+  sendJson(res, 201, { admin: target });
+}
+
+/**
+ * DELETE /admins/:user - Remove an admin by ID or username
+ */
+async function deleteAdmin(req, res, body, user, router) {
+  const target = resolvePathUser(user);
+  if (!target) {
+    sendJson(res, 400, { error: "Path needs a user ID or a username" });
+    return;
+  }
+
+  const result = removeAdmin(target);
+  if (!result.success) {
+    sendJson(res, 404, { error: result.message });
+    return;
+  }
+
+  recordAudit(apiMessage(req), "removeadmin", result.record, null);
+  await router.resetCommandMenu(result.record.id);
+  sendJson(res, 200, { removed: result.record });
+}
+
+/**
+ * GET /restricted - List the restricted users
+ */
+function listRestricted(req, res) {
+  sendJson(res, 200, { restricted: getAllRestrictedUsers() });
+}
+
+/**
+ * POST /restricted - Restrict a user ({id} or {username}, duration, reason)
+ */
+async function createRestriction(req, res, body, param, router) {
+  const target = resolveBodyUser(body);
+  if (!target) {
+    sendJson(res, 400, { error: "Body needs an id or a username" });
+    return;
+  }
+  if (target.id === null) {
+    sendJson(res, 404, {
+      error: "Unknown user, the bot has not seen them yet",
+    });
+    return;
+  }
+
+  const durationMs = body.duration
+    ? parseDuration(String(body.duration))
+    : null;
+  if (body.duration && !durationMs) {
+    sendJson(res, 400, { error: "Duration must look like 30m, 2h or 1d" });
+    return;
+  }
+
+  const result = addRestrictedUser(target, {
+    durationMs,
+    reason: String(body.reason ?? ""),
+    restrictedBy: formatUserLabel(API_ACTOR),
+  });
+
+  recordAudit(apiMessage(req), "restrict", result.previous, result.record);
+  // Restricting a user also removes their admin rights
+  await router.resetCommandMenu(result.record.id);
+  sendJson(res, result.previous ? 200 : 201, { restricted: result.record });
+}
+
+/**
+ * DELETE /restricted/:user - Lift the restriction of a user by ID or username
+ */
+function deleteRestriction(req, res, body, user) {
+  const target = resolvePathUser(user);
+  if (!target) {
+    sendJson(res, 400, { error: "Path needs a user ID or a username" });
+    return;
+  }
+
+  const result = removeRestrictedUser(target);
+  if (!result.success) {
+    sendJson(res, 404, { error: result.message });
+    return;
+  }
+
+  recordAudit(apiMessage(req), "unrestrict", result.record, null);
+  sendJson(res, 200, { removed: result.record });
+}
+
+/**
+ * GET /cache - Show the cached suggestion of every chat
+ */
+function showCache(req, res) {
+  sendJson(res, 200, { cache: loadFoodCache() });
+}
+
+// Routes of the API: method, path pattern and handler
+// (req, res, body, pathParam, router)
+const ROUTES = [
+  { method: "GET", path: /^\/foods$/, handler: listFoods },
+  { method: "POST", path: /^\/foods$/, handler: addFoods },
+  { method: "DELETE", path: /^\/foods\/(\d+)$/, handler: deleteFood },
+  { method: "GET", path: /^\/admins$/, handler: listAdmins },
+  { method: "POST", path: /^\/admins$/, handler: createAdmin },
+  { method: "DELETE", path: /^\/admins\/([^/]+)$/, handler: deleteAdmin },
+  { method: "GET", path: /^\/restricted$/, handler: listRestricted },
+  { method: "POST", path: /^\/restricted$/, handler: createRestriction },
+  {
+    method: "DELETE",
+    path: /^\/restricted\/([^/]+)$/,
+    handler: deleteRestriction,
+  },
+  { method: "GET", path: /^\/cache$/, handler: showCache },
+];
+
+/**
+ * Handle a request to the admin API
+ * @param {Object} router - Command router, to refresh admin command menus
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(router, req, res) {
+  if (
+    !secretsMatch(
+      req.headers.authorization?.replace(/^Bearer\s+/i, ""),
+      ADMIN_API_TOKEN,
+    )
+  ) {
+    sendJson(res, 401, { error: "Missing or wrong API token" });
+    return;
+  }
+
+  const path = new URL(req.url, "http://localhost").pathname.replace(
+    /\/+$/,
+    "",
+  );
+  const matches = ROUTES.filter((route) => route.path.test(path));
+  const route = matches.find((r) => r.method === req.method);
+
+  if (!route) {
+    if (matches.length > 0) {
+      res.setHeader("Allow", matches.map((r) => r.method).join(", "));
+      sendJson(res, 405, { error: `${req.method} is not allowed here` });
+    } else {
+      sendJson(res, 404, { error: "Not found" });
+    }
+    return;
+  }
+
+  let body = null;
+  if (req.method === "POST") {
+    const text = await readBody(req);
+    if (text === null) {
+      sendJson(res, 413, { error: "Body too large" });
+      return;
+    }
+    try {
+      body = JSON.parse(text);
+    } catch {
+      sendJson(res, 400, { error: "Body must be JSON" });
+      return;
+    }
+  }
+
+  const [, param] = path.match(route.path);
+  await route.handler(req, res, body, param, router);
+}
+
+/**
+ * Start the admin API server if ADMIN_API_TOKEN is set
+ * @param {Object} router - Command router
+ * @returns {Promise<void>}
+ */
+export async function startAdminApi(router) {
+  if (!ADMIN_API_TOKEN) return;
+
+  server = await startServer(
+    (req, res) => handleRequest(router, req, res),
+    ADMIN_API_PORT,
+    ADMIN_API_HOST,
+  );
+  logger.info(
+    `Admin API listening on http://${ADMIN_API_HOST}:${ADMIN_API_PORT}`,
+  );
+}
+
+/**
+ * Stop the admin API server, letting requests in progress finish
+ * @returns {Promise<void>}
+ */
+export async function stopAdminApi() {
+  if (!server) return;
+
+  await stopServer(server);
+  server = null;
+  logger.info("Admin API stopped");
+}
@@ -3,250 +3,536 @@ import {
   addAdmin,
   removeAdmin,
   getAllAdmins,
-  checkAdminPermission,
   addRestrictedUser,
   removeRestrictedUser,
   getAllRestrictedUsers,
   clearFoodCache,
   addFoodToList,
   removeFoodByIndex,
+  removeFoodFromList,
+  loadFoodEntries,
+  isAdmin,
+  parseFoodLine,
+  formatFoodLine,
+  resolveTargetUser,
+  resolveTargetAndArgs,
+  formatUserLabel,
+  parseDuration,
+  formatDuration,
+  getCachedFood,
 } from "./utils.js";
-import { FOOD_LIST_PATH } from "./config.js";
+import { recordAudit, readAuditLog } from "./audit.js";
+import { getChatTranslator } from "./i18n.js";
+import { searchFoods } from "./foodSearch.js";
+import { recordFoodRevision } from "./foodRevisions.js";
+import { splitListArg } from "./foodLists.js";
+import { splitMealSlotArg, getSlotCacheKey } from "./mealSlots.js";
+
+// Prefix of the callback data used by the /removefood choice buttons
+const REMOVE_CALLBACK_PREFIX = "rmfood:";
+
+// Number of matching foods offered by /removefood
+const REMOVE_CHOICES = 5;
+
+// Unanswered /removefood choices are dropped after this many milliseconds
+const REMOVE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Audit values (e.g. whole schedule records) are cut to this length in /auditlog
+const AUDIT_VALUE_MAX_LENGTH = 200;
+
+// Telegram rejects messages over 4096 characters, /auditlog splits below that
+const MAX_MESSAGE_LENGTH = 4000;
+
+// /removefood choices waiting for an answer, keyed by ID
+const pendingRemovals = new Map();
+let nextRemovalId = 1;
+
+/**
+ * Format a restricted user record for /listrestricted
+ * @param {Object} record - Restriction record
+ * @param {Function} t - Translate function of the chat
+ * @returns {string} Line with remaining time, reason and restricting admin
+ */
+function formatRestrictedEntry(record, t) {
+  const remaining = record.expiresAt
+    ? t("listrestricted.left", {
+        duration: formatDuration(
+          new Date(record.expiresAt).getTime() - Date.now(),
+        ),
+      })
+    : t("listrestricted.permanent");
+
+  let line = `• ${formatUserLabel(record)} - ${remaining}`;
+  if (record.reason) line += ` - ${record.reason}`;
+  if (record.restrictedBy) {
+    line += t("listrestricted.by", { admin: record.restrictedBy });
+  }
+  return line;
+}
+
+/**
+ * Format an audit value (food, user record, restriction...) for display
+ * @param {*} value - Value stored in the audit log
+ * @returns {string} Short text, cut to AUDIT_VALUE_MAX_LENGTH
+ */
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return "-";
+
+  let text;
+  if (typeof value !== "object") {
+    text = String(value);
+  } else if ("id" in value && "username" in value) {
+    const label = formatUserLabel(value);
+    text = value.reason ? `${label} (${value.reason})` : label;
+  } else {
+    text = JSON.stringify(value);
+  }
+
+  return text.length > AUDIT_VALUE_MAX_LENGTH
+    ? `${text.slice(0, AUDIT_VALUE_MAX_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Format an audit log entry for /auditlog
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Entry with date, actor, action and before/after values
+ */
+function formatAuditEntry(entry) {
+  const date = entry.timestamp.slice(0, 16).replace("T", " ");
+  return (
+    `${date} ${formatUserLabel(entry.actor)} /${entry.action} (chat ${entry.chatId})\n` +
+    `  ${formatAuditValue(entry.before)} → ${formatAuditValue(entry.after)}`
+  );
+}
+
+/**
+ * Ask the admin which of the matching foods /removefood should remove
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - The /removefood message
+ * @param {Object} list - Food list to remove from, see getFoodList
+ * @param {string[]} foods - Candidate food names, best match first
+ * @param {Function} t - Translate function of the chat
+ */
+async function askFoodToRemove(bot, msg, list, foods, t) {
+  const id = nextRemovalId++;
+  pendingRemovals.set(id, {
+    msg,
+    list,
+    foods,
+    timer: setTimeout(() => pendingRemovals.delete(id), REMOVE_TIMEOUT_MS),
+  });
+
+  const buttons = foods.map((food, index) => [
+    { text: food, callback_data: `${REMOVE_CALLBACK_PREFIX}${id}:${index}` },
+  ]);
+  buttons.push([
+    {
+      text: t("removefood.cancel"),
+      callback_data: `${REMOVE_CALLBACK_PREFIX}${id}:cancel`,
+    },
+  ]);
+
+  await bot.sendMessage(msg.chat.id, t("removefood.choose"), {
+    reply_markup: { inline_keyboard: buttons },
+  });
+}
 
 /**
  * Register all admin commands with the bot
  * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
  */
-export function registerAdminCommands(bot) {
+export function registerAdminCommands(bot, router) {
   /**
-   * Clear current food suggestion - Admin only
+   * Clear current food suggestion of the active or the given list, for the
+   * current or the given meal slot - Admin only
    */
-  bot.onText(/\/clearfood/, async (msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    clearFoodCache();
-    await bot.sendMessage(
-      chatId,
-      "Food suggestion cleared! Use /food or /newfood to get a new suggestion.",
-    );
+  router.register({
+    name: "clearfood",
+    args: "[list] [slot]",
+    description: "commands.clearfood",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const { list, rest } = splitListArg(chatId, args, { withSlot: true });
+      const { slot } = splitMealSlotArg(rest);
+      const cacheKey = getSlotCacheKey(list.cacheKey, slot);
+      const previousFood = getCachedFood(cacheKey);
+      clearFoodCache(cacheKey);
+      recordAudit(msg, "clearfood", previousFood, null);
+      await bot.sendMessage(chatId, t("clearfood.done"));
+    },
   });
 
   /**
-   * Add a new food to the list - Admin only
+   * Add a new food to the active or the given list - Admin only
    */
-  bot.onText(/\/addfood(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const foodItem = match[1];
-
-    if (!foodItem) {
-      await bot.sendMessage(
-        chatId,
-        'Please specify a food to add, e.g. /addfood "Fried Rice"',
-      );
-      return;
-    }
-
-    const success = addFoodToList(foodItem, FOOD_LIST_PATH);
-
-    if (success) {
-      await bot.sendMessage(chatId, `Added "${foodItem}" to the food list!`);
-    } else {
-      await bot.sendMessage(
-        chatId,
-        `"${foodItem}" already exists in the food list or could not be added.`,
-      );
-    }
+  router.register({
+    name: "addfood",
+    args: "[list] name [#tag ...]",
+    description: "commands.addfood",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const { list, rest: foodItem } = splitListArg(chatId, args);
+
+      if (!foodItem) {
+        await bot.sendMessage(chatId, t("addfood.usage"));
+        return;
+      }
+
+      const entry = parseFoodLine(foodItem);
+      const success = addFoodToList(foodItem, list.path);
+
+      if (success) {
+        recordAudit(msg, "addfood", null, formatFoodLine(entry));
+        recordFoodRevision(msg, "addfood", {
+          added: [entry],
+          list: list.name,
+        });
+        await bot.sendMessage(
+          chatId,
+          t("addfood.added", { food: formatFoodLine(entry), list: list.name }),
+        );
+      } else {
+        await bot.sendMessage(
+          chatId,
+          t("addfood.exists", { food: entry.name }),
+        );
+      }
+    },
   });
 
   /**
-   * Remove a food from the list - Admin only
+   * Remove a food from the active or the given list by index or name - Admin only
    */
-  bot.onText(/\/removefood(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const indexStr = match[1];
+  router.register({
+    name: "removefood",
+    args: "[list] n|name",
+    description: "commands.removefood",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const { list, rest: food } = splitListArg(chatId, args);
+
+      if (!food) {
+        await bot.sendMessage(chatId, t("removefood.usage"));
+        return;
+      }
+
+      let result;
+      if (/^\d+$/.test(food)) {
+        result = removeFoodByIndex(parseInt(food, 10), list.path, t);
+      } else {
+        const matches = searchFoods(food, loadFoodEntries(list.path));
+
+        if (matches.length === 0) {
+          await bot.sendMessage(chatId, t("removefood.notFound", { food }));
+          return;
+        }
+
+        // Anything but an exact name needs the admin to pick the food
+        if (!matches[0].exact) {
+          await askFoodToRemove(
+            bot,
+            msg,
+            list,
+            matches.slice(0, REMOVE_CHOICES).map((m) => m.name),
+            t,
+          );
+          return;
+        }
+
+        result = removeFoodFromList(matches[0].name, list.path, t);
+      }
+
+      if (result.success) {
+        recordAudit(msg, "removefood", result.food, null);
+        recordFoodRevision(msg, "removefood", {
+          removed: result.removed,
+          list: list.name,
+        });
+      }
+      await bot.sendMessage(chatId, result.message);
+    },
+  });
 
-    if (!indexStr) {
-      await bot.sendMessage(
-        chatId,
-        "Please specify the index of the food to remove, e.g. /removefood 5\nUse /foodlist to see the numbered list.",
-      );
+  /**
+   * Remove the food picked from the /removefood buttons
+   */
+  bot.on("callback_query", async (query) => {
+    if (!query.data?.startsWith(REMOVE_CALLBACK_PREFIX) || !query.message) {
       return;
     }
 
-    const index = parseInt(indexStr.trim(), 10);
-
-    if (isNaN(index)) {
-      await bot.sendMessage(
-        chatId,
-        "Please provide a valid number, e.g. /removefood 5",
-      );
-      return;
+    const [idStr, choice] = query.data
+      .slice(REMOVE_CALLBACK_PREFIX.length)
+      .split(":");
+    const message = query.message;
+    const chatId = message.chat.id;
+    const t = getChatTranslator(chatId, query.from);
+
+    try {
+      const pending = pendingRemovals.get(parseInt(idStr, 10));
+      if (!pending || pending.msg.chat.id !== chatId) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("removefood.expired"),
+        });
+        await bot.editMessageReplyMarkup(
+          { inline_keyboard: [] },
+          { chat_id: chatId, message_id: message.message_id },
+        );
+        return;
+      }
+
+      if (query.from.id !== pending.msg.from.id || !isAdmin(query.from)) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("removefood.notAllowed"),
+          show_alert: true,
+        });
+        return;
+      }
+
+      pendingRemovals.delete(parseInt(idStr, 10));
+      clearTimeout(pending.timer);
+
+      const food = pending.foods[parseInt(choice, 10)];
+      if (food === undefined) {
+        await bot.editMessageText(t("removefood.cancelled"), {
+          chat_id: chatId,
+          message_id: message.message_id,
+        });
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      const result = removeFoodFromList(food, pending.list.path, t);
+      if (result.success) {
+        recordAudit(pending.msg, "removefood", result.food, null);
+        recordFoodRevision(pending.msg, "removefood", {
+          removed: result.removed,
+          list: pending.list.name,
+        });
+      }
+
+      await bot.editMessageText(result.message, {
+        chat_id: chatId,
+        message_id: message.message_id,
+      });
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      logger.error(`Error handling food removal: ${error.message}`);
     }
-
-    const { success, message } = removeFoodByIndex(index, FOOD_LIST_PATH);
-    await bot.sendMessage(chatId, message);
   });
 
   /**
    * Add a new admin - Admin only
    */
-  bot.onText(/\/addadmin(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const username = match[1]?.trim();
-
-    if (!username) {
-      await bot.sendMessage(
-        chatId,
-        "Please specify a username, e.g. /addadmin @username",
-      );
-      return;
-    }
-
-    const result = addAdmin(username);
-    await bot.sendMessage(chatId, result.message);
+  router.register({
+    name: "addadmin",
+    args: "@username|reply",
+    description: "commands.addadmin",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const target = resolveTargetUser(msg, args);
+
+      if (!target) {
+        await bot.sendMessage(chatId, t("addadmin.usage"));
+        return;
+      }
+
+      const result = addAdmin(target, t);
+      if (result.success) {
+        recordAudit(msg, "addadmin", null, target);
+        await router.syncCommandMenus();
+      }
+      await bot.sendMessage(chatId, result.message);
+    },
   });
 
   /**
    * Remove an admin - Admin only
    */
-  bot.onText(/\/removeadmin(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const username = match[1]?.trim();
-
-    if (!username) {
-      await bot.sendMessage(
-        chatId,
-        "Please specify a username, e.g. /removeadmin @username",
-      );
-      return;
-    }
-
-    const result = removeAdmin(username);
-    await bot.sendMessage(chatId, result.message);
+  router.register({
+    name: "removeadmin",
+    args: "@username|reply",
+    description: "commands.removeadmin",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const target = resolveTargetUser(msg, args);
+
+      if (!target) {
+        await bot.sendMessage(chatId, t("removeadmin.usage"));
+        return;
+      }
+
+      const result = removeAdmin(target, t);
+      if (result.success) {
+        recordAudit(msg, "removeadmin", result.record, null);
+        await router.resetCommandMenu(result.record.id);
+      }
+      await bot.sendMessage(chatId, result.message);
+    },
   });
 
   /**
    * List all admins - Admin only
    */
-  bot.onText(/\/listadmins/, async (msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const admins = getAllAdmins();
-
-    let message = "👑 *Admin List:*\n\n";
-
-    if (admins.length > 0) {
-      message += admins.map((u) => `• @${u}`).join("\n");
-    } else {
-      message += "_No admins configured_";
-    }
-
-    await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
+  router.register({
+    name: "listadmins",
+    description: "commands.listadmins",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const admins = getAllAdmins();
+
+      let message = `${t("listadmins.title")}\n\n`;
+
+      if (admins.length > 0) {
+        message += admins.map((u) => `• ${formatUserLabel(u)}`).join("\n");
+      } else {
+        message += t("listadmins.empty");
+      }
+
+      await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
+    },
   });
 
   /**
    * Restrict a user - Admin only
    */
-  bot.onText(/\/restrict(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const username = match[1]?.trim();
-
-    if (!username) {
-      await bot.sendMessage(
-        chatId,
-        "Please specify a username, e.g. /restrict @username",
+  router.register({
+    name: "restrict",
+    args: "@username|reply [2h] [reason]",
+    description: "commands.restrict",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const { target, rest } = resolveTargetAndArgs(msg, args);
+
+      if (!target) {
+        await bot.sendMessage(chatId, t("restrict.usage"));
+        return;
+      }
+
+      // An optional duration (m/h/d) comes first, the rest is the reason
+      const [first = "", ...reasonParts] = rest.split(/\s+/);
+      const durationMs = parseDuration(first);
+      const reason = durationMs ? reasonParts.join(" ") : rest;
+
+      const result = addRestrictedUser(
+        target,
+        { durationMs, reason, restrictedBy: formatUserLabel(user) },
+        t,
       );
-      return;
-    }
-
-    const result = addRestrictedUser(username);
-    await bot.sendMessage(chatId, result.message);
+      if (result.success) {
+        recordAudit(msg, "restrict", result.previous, result.record);
+        // Restricting a user also removes their admin rights
+        await router.resetCommandMenu(result.record.id);
+      }
+      await bot.sendMessage(chatId, result.message);
+    },
   });
 
   /**
    * Unrestrict a user - Admin only
    */
-  bot.onText(/\/unrestrict(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const username = match[1]?.trim();
-
-    if (!username) {
-      await bot.sendMessage(
-        chatId,
-        "Please specify a username, e.g. /unrestrict @username",
-      );
-      return;
-    }
-
-    const result = removeRestrictedUser(username);
-    await bot.sendMessage(chatId, result.message);
+  router.register({
+    name: "unrestrict",
+    args: "@username|reply",
+    description: "commands.unrestrict",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const target = resolveTargetUser(msg, args);
+
+      if (!target) {
+        await bot.sendMessage(chatId, t("unrestrict.usage"));
+        return;
+      }
+
+      const result = removeRestrictedUser(target, t);
+      if (result.success) {
+        recordAudit(msg, "unrestrict", result.record, null);
+      }
+      await bot.sendMessage(chatId, result.message);
+    },
   });
 
   /**
    * List all restricted users - Admin only
    */
-  bot.onText(/\/listrestricted/, async (msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-
-    // Check admin permission
-    const notAdmin = await checkAdminPermission(bot, chatId, user);
-    if (notAdmin) return;
-
-    const restrictedUsers = getAllRestrictedUsers();
-
-    let message = "🚫 *Restricted Users:*\n\n";
-
-    if (restrictedUsers.length > 0) {
-      message += restrictedUsers.map((u) => `• @${u}`).join("\n");
-    } else {
-      message += "_No restricted users_";
-    }
+  router.register({
+    name: "listrestricted",
+    description: "commands.listrestricted",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const restrictedUsers = getAllRestrictedUsers();
+
+      let message = `${t("listrestricted.title")}\n\n`;
+
+      if (restrictedUsers.length > 0) {
+        message += restrictedUsers
+          .map((record) => formatRestrictedEntry(record, t))
+          .join("\n");
+      } else {
+        message += t("listrestricted.empty");
+      }
+
+      await bot.sendMessage(chatId, message);
+    },
+  });
 
-    await bot.sendMessage(chatId, message, { parse_mode: "Markdown" });
+  /**
+   * Browse the audit log - Admin only
+   * Arguments in any order: a count, an @username and an action name
+   */
+  router.register({
+    name: "auditlog",
+    args: "[n] [@user] [action]",
+    description: "commands.auditlog",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const filters = { limit: 10 };
+      for (const token of args.split(/\s+/).filter(Boolean)) {
+        if (/^-?\d+$/.test(token)) {
+          filters.limit = Math.min(Math.max(1, parseInt(token, 10)), 50);
+        } else if (token.startsWith("@")) {
+          filters.username = token;
+        } else {
+          filters.action = token;
+        }
+      }
+
+      const entries = readAuditLog(filters);
+
+      if (entries.length === 0) {
+        await bot.sendMessage(chatId, t("auditlog.empty"));
+        return;
+      }
+
+      // Split between entries to stay below Telegram's message limit
+      const messages = [t("auditlog.title")];
+      for (const entry of entries.map(formatAuditEntry)) {
+        const last = messages.length - 1;
+        if (messages[last].length + entry.length + 2 > MAX_MESSAGE_LENGTH) {
+          messages.push(entry);
+        } else {
+          messages[last] += `\n\n${entry}`;
+        }
+      }
+
+      for (const text of messages) {
+        await bot.sendMessage(chatId, text);
+      }
+    },
   });
 
   logger.info("Admin commands registered");
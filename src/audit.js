@@ -0,0 +1,83 @@
+import { readFileSync, existsSync, appendFileSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { AUDIT_LOG_PATH } from "./config.js";
+import { logger, normalizeUsername } from "./utils.js";
+
+/**
+ * Append an admin mutation to the audit log
+ * The log is a JSON Lines file that is only ever appended to
+ * @param {Object} msg - Telegram message of the admin command
+ * @param {string} action - Action name, e.g. "addfood" or "restrict"
+ * @param {*} before - Value before the change (null if none)
+ * @param {*} after - Value after the change (null if none)
+ */
+export function recordAudit(msg, action, before = null, after = null) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    actor: {
+      id: msg.from.id,
+      username: msg.from.username || null,
+      ...(msg.from.api && { api: true }),
+    },
+    chatId: msg.chat.id,
+    action,
+    command: msg.text || "",
+    before,
+    after,
+  };
+
+  try {
+    const dir = dirname(AUDIT_LOG_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    appendFileSync(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`, "utf-8");
+  } catch (error) {
+    logger.error(`Error writing audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Read audit log entries, newest first
+ * @param {{limit?: number, username?: string|null, action?: string|null}} filters - Maximum entries, actor username and action to match
+ * @returns {Object[]} Matching entries
+ */
+export function readAuditLog({
+  limit = 20,
+  username = null,
+  action = null,
+} = {}) {
+  if (!existsSync(AUDIT_LOG_PATH)) {
+    return [];
+  }
+
+  const usernameLower = username ? normalizeUsername(username) : null;
+  const actionLower = action ? action.replace(/^\//, "").toLowerCase() : null;
+
+  const entries = [];
+  const lines = readFileSync(AUDIT_LOG_PATH, "utf-8").split("\n");
+
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i].trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      logger.warn(`Skipping malformed audit log line ${i + 1}`);
+      continue;
+    }
+
+    if (
+      usernameLower &&
+      normalizeUsername(entry.actor?.username) !== usernameLower
+    ) {
+      continue;
+    }
+    if (actionLower && entry.action !== actionLower) continue;
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
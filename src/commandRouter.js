@@ -0,0 +1,282 @@
+import {
+  logger,
+  checkCommandRestriction,
+  checkAdminPermission,
+  isAdmin,
+  getAllAdmins,
+} from "./utils.js";
+import { DEFAULT_LANGUAGE } from "./config.js";
+import {
+  SUPPORTED_LANGUAGES,
+  getTranslator,
+  getChatTranslator,
+} from "./i18n.js";
+
+// Roles a command can require
+const ROLE_EVERYONE = "everyone";
+const ROLE_ADMIN = "admin";
+
+// "/cmd", "/cmd@BotName" and "/cmd@BotName args" at the start of a message
+const COMMAND_PATTERN = /^\/([a-z0-9_]{1,32})(?:@(\w+))?(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Escape text for Telegram's legacy Markdown parse mode
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in a Markdown message
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([_*`[])/g, "\\$1");
+}
+
+/**
+ * Parse a message text into command name, bot mention and arguments
+ * @param {string} text - Message text
+ * @returns {{name: string, botName: string|null, args: string}|null} Parsed command or null if the text is not a command
+ */
+export function parseCommand(text) {
+  const match = COMMAND_PATTERN.exec((text || "").trim());
+  if (!match) return null;
+
+  return {
+    name: match[1].toLowerCase(),
+    botName: match[2] || null,
+    args: (match[3] || "").trim(),
+  };
+}
+
+/**
+ * Build the language_code part of a command menu request
+ * The DEFAULT_LANGUAGE menu has no language code, so it also serves users
+ * whose app language is not supported
+ * @param {string} lang - Language code
+ * @returns {Object} Form fields
+ */
+function languageForm(lang) {
+  return lang === DEFAULT_LANGUAGE ? {} : { language_code: lang };
+}
+
+/**
+ * Middleware checking the role declared by the command
+ * Everyone-commands reject restricted users, admin-commands reject non-admins
+ * @param {Object} ctx - Command context
+ * @returns {Promise<boolean>} True to continue with the command
+ */
+async function permissionMiddleware({ bot, msg, command }) {
+  if (command.role === ROLE_ADMIN) {
+    return !(await checkAdminPermission(bot, msg.chat.id, msg.from));
+  }
+
+  return !(await checkCommandRestriction(bot, msg.chat.id, msg.from));
+}
+
+/**
+ * Create the command router of the bot
+ * Commands declare a name, description (a message key), argument hint and
+ * required role; the router parses "/cmd@botname args", runs the middleware
+ * once and calls the handler with the message, the argument string and the
+ * context, whose t translates into the language of the chat.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @returns {Object} Router with register, use, getCommands, getHelpText, syncCommandMenus, resetCommandMenu and start
+ */
+export function createCommandRouter(bot) {
+  const commands = new Map();
+  const middlewares = [permissionMiddleware];
+  let botUsername = null;
+
+  /**
+   * Register a command
+   * Role "everyone" (default) rejects restricted users, "admin" non-admins
+   * @param {{name: string, description: string, args?: string, role?: string, hidden?: boolean, handler: Function}} command - Command definition, handler(msg, args, ctx)
+   */
+  function register(command) {
+    const name = command.name.toLowerCase();
+    if (commands.has(name)) {
+      throw new Error(`Command /${name} is already registered`);
+    }
+
+    commands.set(name, {
+      args: "",
+      role: ROLE_EVERYONE,
+      hidden: false,
+      ...command,
+      name,
+    });
+  }
+
+  /**
+   * Add a middleware, run after the permission check
+   * A middleware receives {bot, msg, command, args, t} and returns false to stop
+   * @param {Function} middleware - Async middleware
+   */
+  function use(middleware) {
+    middlewares.push(middleware);
+  }
+
+  /**
+   * Get the registered commands a user can see
+   * @param {boolean} includeAdmin - Include admin-only commands
+   * @returns {Object[]} Commands in registration order
+   */
+  function getCommands(includeAdmin = false) {
+    return [...commands.values()].filter(
+      (command) =>
+        !command.hidden && (includeAdmin || command.role !== ROLE_ADMIN),
+    );
+  }
+
+  /**
+   * Format the command list for /start and /help
+   * @param {Object} user - Telegram user object
+   * @param {Function} t - Translate function for the descriptions
+   * @returns {{common: string, admin: string|null}} Markdown lists of everyone- and admin-commands
+   */
+  function getHelpText(user, t) {
+    const formatLine = (command) =>
+      escapeMarkdown(
+        `/${command.name}${command.args ? ` ${command.args}` : ""} - ${t(command.description)}`,
+      );
+
+    const all = getCommands(true);
+    const common = all
+      .filter((command) => command.role !== ROLE_ADMIN)
+      .map(formatLine)
+      .join("\n");
+    const admin = isAdmin(user)
+      ? all
+          .filter((command) => command.role === ROLE_ADMIN)
+          .map(formatLine)
+          .join("\n")
+      : null;
+
+    return { common, admin };
+  }
+
+  /**
+   * Push the command menus to Telegram: everyone-commands for all chats,
+   * and everyone- plus admin-commands in the private chat of each admin,
+   * once per language (Telegram picks the one matching the user's app)
+   * A failing scope (e.g. an admin who never opened a private chat with the
+   * bot) is logged and skipped, the other menus are still pushed
+   */
+  async function syncCommandMenus() {
+    let failed = 0;
+
+    const setMenu = async (menu, scope, lang) => {
+      try {
+        await bot.setMyCommands(menu, { scope, ...languageForm(lang) });
+      } catch (error) {
+        failed++;
+        logger.error(
+          `Error setting ${lang} command menu for ${scope.chat_id ?? scope.type}: ${error.message}`,
+        );
+      }
+    };
+
+    for (const lang of SUPPORTED_LANGUAGES) {
+      const t = getTranslator(lang);
+      const toBotCommand = (command) => ({
+        command: command.name,
+        description: t(command.description).slice(0, 256),
+      });
+
+      await setMenu(
+        getCommands(false).map(toBotCommand),
+        { type: "default" },
+        lang,
+      );
+
+      const adminMenu = getCommands(true).map(toBotCommand);
+      for (const admin of getAllAdmins()) {
+        if (admin.id === null) continue;
+        await setMenu(adminMenu, { type: "chat", chat_id: admin.id }, lang);
+      }
+    }
+
+    if (failed === 0) {
+      logger.info("Command menus pushed to Telegram");
+    } else {
+      logger.warn(`Command menus pushed to Telegram, ${failed} failed`);
+    }
+  }
+
+  /**
+   * Drop the admin menu of a user, e.g. after they were removed as admin
+   * @param {number|null} userId - Telegram user ID
+   */
+  async function resetCommandMenu(userId) {
+    if (userId === null || userId === undefined) return;
+
+    try {
+      for (const lang of SUPPORTED_LANGUAGES) {
+        await bot.deleteMyCommands({
+          scope: JSON.stringify({ type: "chat", chat_id: userId }),
+          ...languageForm(lang),
+        });
+      }
+    } catch (error) {
+      logger.error(`Error resetting command menu: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dispatch a message to its command
+   * @param {Object} msg - Telegram message
+   */
+  async function handleMessage(msg) {
+    const parsed = parseCommand(msg.text);
+    if (!parsed) return;
+
+    // "/cmd@OtherBot" is meant for another bot in the group
+    if (
+      parsed.botName &&
+      botUsername &&
+      parsed.botName.toLowerCase() !== botUsername.toLowerCase()
+    ) {
+      return;
+    }
+
+    const command = commands.get(parsed.name);
+    if (!command) return;
+
+    const t = getChatTranslator(msg.chat.id, msg.from);
+    const ctx = { bot, msg, command, args: parsed.args, t };
+
+    try {
+      for (const middleware of middlewares) {
+        if (!(await middleware(ctx))) return;
+      }
+
+      await command.handler(msg, parsed.args, ctx);
+    } catch (error) {
+      logger.error(`Error handling /${command.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start routing messages and push the command menus
+   */
+  async function start() {
+    bot.on("message", (msg) => {
+      handleMessage(msg);
+    });
+
+    try {
+      const me = await bot.getMe();
+      botUsername = me.username;
+    } catch (error) {
+      logger.error(`Error getting bot info: ${error.message}`);
+    }
+
+    await syncCommandMenus();
+  }
+
+  return {
+    register,
+    use,
+    getCommands,
+    getHelpText,
+    syncCommandMenus,
+    resetCommandMenu,
+    start,
+  };
+}
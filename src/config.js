@@ -18,9 +18,75 @@ if (!TOKEN) {
   process.exit(1);
 }
 
-// Path to the food list file
+// How the bot receives updates: "polling" or "webhook"
+export const BOT_MODE = (process.env.BOT_MODE || "polling").toLowerCase();
+
+if (!["polling", "webhook"].includes(BOT_MODE)) {
+  console.error('Error: BOT_MODE must be "polling" or "webhook"');
+  process.exit(1);
+}
+
+// Public HTTPS URL Telegram posts updates to in webhook mode
+export const WEBHOOK_URL = process.env.WEBHOOK_URL || "";
+
+if (BOT_MODE === "webhook" && !WEBHOOK_URL) {
+  console.error("Error: WEBHOOK_URL is not set in .env file");
+  process.exit(1);
+}
+
+try {
+  if (WEBHOOK_URL) new URL(WEBHOOK_URL);
+} catch {
+  console.error(
+    `Error: WEBHOOK_URL "${WEBHOOK_URL}" is not a valid URL, e.g. https://bot.example.com/telegram`,
+  );
+  process.exit(1);
+}
+
+// Address of the local webhook server, usually behind a reverse proxy
+export const WEBHOOK_HOST = process.env.WEBHOOK_HOST || "127.0.0.1";
+export const WEBHOOK_PORT = parseInt(process.env.WEBHOOK_PORT, 10) || 8080;
+
+// Path the webhook server accepts updates on (defaults to the path of WEBHOOK_URL)
+export const WEBHOOK_PATH =
+  process.env.WEBHOOK_PATH ||
+  (WEBHOOK_URL ? new URL(WEBHOOK_URL).pathname : "/");
+
+// Secret Telegram sends in the X-Telegram-Bot-Api-Secret-Token header
+// (required in webhook mode, so local test requests can send it too)
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+
+if (BOT_MODE === "webhook" && !WEBHOOK_SECRET) {
+  console.error("Error: WEBHOOK_SECRET is not set in .env file");
+  process.exit(1);
+}
+
+if (WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.error(
+    "Error: WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (at most 256)",
+  );
+  process.exit(1);
+}
+
+// Bearer token of the local admin API (the API is off when not set)
+export const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+
+// Address of the local admin API server
+export const ADMIN_API_HOST = process.env.ADMIN_API_HOST || "127.0.0.1";
+export const ADMIN_API_PORT = parseInt(process.env.ADMIN_API_PORT, 10) || 8081;
+
+// Path to the food list file, which is the default list
 export const FOOD_LIST_PATH = join(BASE_DIR, "data", "foods.txt");
 
+// Name of the list kept in FOOD_LIST_PATH, used by chats that picked no other
+export const DEFAULT_FOOD_LIST = "lunch";
+
+// Directory of the other named food lists (<name>.txt)
+export const FOOD_LISTS_DIR = join(BASE_DIR, "data", "lists");
+
+// Path to the per-chat active food list settings file
+export const CHAT_FOOD_LISTS_DB_PATH = join(BASE_DIR, "data", "chat_food_lists.json");
+
 // Path to the food cache file
 export const FOOD_CACHE_PATH = join(BASE_DIR, "data", "food_cache.json");
 
@@ -30,8 +96,125 @@ export const ADMIN_DB_PATH = join(BASE_DIR, "data", "admins.json");
 // Path to the restricted users database file
 export const RESTRICTED_USERS_DB_PATH = join(BASE_DIR, "data", "restricted_users.json");
 
+// Path to the directory of users seen by the bot (ID -> username)
+export const USERS_DB_PATH = join(BASE_DIR, "data", "users.json");
+
+// Path to the append-only audit log of admin changes (JSON Lines)
+export const AUDIT_LOG_PATH = join(BASE_DIR, "data", "audit_log.jsonl");
+
+// Path to the food list revisions file (undo and trash)
+export const FOOD_REVISIONS_PATH = join(BASE_DIR, "data", "food_revisions.json");
+
+// Path to the rate limits changed at runtime with /ratelimit
+export const RATE_LIMITS_PATH = join(BASE_DIR, "data", "rate_limits.json");
+
+// Path to the debt ledger database file
+export const DEBTS_DB_PATH = join(BASE_DIR, "data", "debts.json");
+
+// Path to the open group orders file (/order)
+export const ORDERS_DB_PATH = join(BASE_DIR, "data", "orders.json");
+
+// Path to the open polls file (/vote)
+export const VOTES_DB_PATH = join(BASE_DIR, "data", "votes.json");
+
+// Path to the bank accounts registered for payment QR codes (/bank)
+export const BANK_ACCOUNTS_DB_PATH = join(BASE_DIR, "data", "bank_accounts.json");
+
+// Path to the per-chat suggestion history file
+export const FOOD_HISTORY_PATH = join(BASE_DIR, "data", "food_history.json");
+
+// Path to the daily announcement schedules file
+export const SCHEDULES_DB_PATH = join(BASE_DIR, "data", "schedules.json");
+
+// Path to the per-chat language settings file
+export const CHAT_LANGUAGES_DB_PATH = join(BASE_DIR, "data", "chat_languages.json");
+
 // Cache duration in milliseconds (12 hours)
 export const CACHE_DURATION_MS = 12 * 60 * 60 * 1000;
 
+// Cache key used when no chat ID is given
+export const DEFAULT_CACHE_KEY = "default";
+
+// Cache key holding a suggestion migrated from the legacy single-entry cache
+export const LEGACY_CACHE_KEY = "legacy";
+
+// Foods suggested within this many days are not suggested again (0 disables)
+export const COOLDOWN_DAYS = 7;
+
+// The last N suggested foods are not suggested again (0 disables)
+export const COOLDOWN_PICKS = 0;
+
+// Maximum number of history entries kept per chat
+export const HISTORY_MAX_ENTRIES = 100;
+
+// Maximum number of food list revisions kept for /undo and /trash
+export const FOOD_REVISIONS_MAX_ENTRIES = 200;
+
+// Food list revisions older than this many days are dropped
+export const FOOD_REVISIONS_MAX_DAYS = 30;
+
+// Default command rate limits as "count/window" per user and/or per chat;
+// "*" counts all commands together. Admins are exempt.
+export const RATE_LIMITS = {
+  "*": { user: "20/1m" },
+  newfood: { chat: "3/1h" },
+  foodlist: { user: "2/10m" },
+  exportfood: { user: "3/10m" },
+};
+
+// Timezone used to display dates, pick the meal slot and as the default for schedules
+export const TIMEZONE = process.env.TIMEZONE || "Asia/Ho_Chi_Minh";
+
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: TIMEZONE });
+} catch {
+  console.error(`Error: TIMEZONE "${TIMEZONE}" is not a valid IANA timezone`);
+  process.exit(1);
+}
+
+// Meal slots as "name=HH:MM" pairs, each slot lasts from its start time (in
+// TIMEZONE) until the next one starts; foods tagged with a slot name are only
+// suggested in that slot, untagged foods in every slot
+export const MEAL_SLOTS =
+  process.env.MEAL_SLOTS ||
+  "breakfast=05:00,lunch=10:00,dinner=16:00,late-night=21:00";
+
+if (
+  !MEAL_SLOTS.split(",").every((slot) =>
+    /^[a-z][a-z0-9_-]{0,15}=\d{1,2}:\d{2}$/.test(slot.trim()),
+  )
+) {
+  console.error(
+    'Error: MEAL_SLOTS must look like "breakfast=05:00,lunch=10:00,dinner=16:00"',
+  );
+  process.exit(1);
+}
+
+// How often the scheduler checks for due announcements in milliseconds
+export const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// Default number of candidates in a /vote poll
+export const VOTE_DEFAULT_OPTIONS = 4;
+
+// How long a /vote poll stays open unless /vote is given a duration, written
+// like "10m", "1h" or "1h30m"
+export const VOTE_DURATION = process.env.VOTE_DURATION || "10m";
+
+if (!/^(\d+[mhd])+$/i.test(VOTE_DURATION)) {
+  console.error(
+    'Error: VOTE_DURATION must be a duration such as "10m" or "1h"',
+  );
+  process.exit(1);
+}
+
+// Default number of foods in a /tournament bracket
+export const TOURNAMENT_DEFAULT_SIZE = 8;
+
+// How long each /tournament round is open for votes in milliseconds (1 minute)
+export const TOURNAMENT_ROUND_MS = 60 * 1000;
+
+// Language used when neither the chat nor the user has a supported language
+export const DEFAULT_LANGUAGE = "en";
+
 // Default admin usernames (without @)
 export const DEFAULT_ADMINS = ["nguyenviet02"];
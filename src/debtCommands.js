@@ -0,0 +1,254 @@
+import {
+  logger,
+  parseAmount,
+  formatAmount,
+  loadUserDirectory,
+  resolveTargetAndArgs,
+} from "./utils.js";
+import {
+  addDebt,
+  addSettlement,
+  getBalances,
+  simplifyDebts,
+  getAmountOwed,
+  getLedgerEntries,
+  formatParty,
+} from "./debts.js";
+
+// Number of entries shown by /debthistory when no count is given
+const DEFAULT_HISTORY_SIZE = 10;
+
+// Most entries /debthistory shows at once
+const MAX_HISTORY_SIZE = 50;
+
+// Telegram rejects messages over 4096 characters, /debthistory splits below that
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Resolve the other user of a debt command and the arguments after them
+ * With a reply, a leading amount is not taken for a numeric user ID
+ * @param {Object} msg - Telegram message with the command
+ * @param {string} args - Command arguments
+ * @returns {{target: {id: number|null, username: string|null}|null, rest: string}} Target user (or null) and the remaining arguments
+ */
+function resolveDebtTarget(msg, args) {
+  const replied = msg.reply_to_message?.from;
+  if (/^\d/.test(args) && replied && !replied.is_bot) {
+    return {
+      target: { id: replied.id, username: replied.username || null },
+      rest: args,
+    };
+  }
+  return resolveTargetAndArgs(msg, args);
+}
+
+/**
+ * Make sure the other user of a debt command is someone the bot has seen
+ * Debts are kept by user ID, so an unknown @username cannot be recorded
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID to send message to
+ * @param {{id: number|null, username: string|null}} target - Target user
+ * @param {Function} t - Translate function of the chat
+ * @returns {boolean} True if the command should not continue
+ */
+async function rejectUnknownTarget(bot, chatId, target, t) {
+  if (target.id !== null && loadUserDirectory()[String(target.id)]) {
+    return false;
+  }
+
+  await bot.sendMessage(
+    chatId,
+    t("debts.unknownUser", {
+      user: target.username ? `@${target.username}` : `ID ${target.id}`,
+    }),
+  );
+  return true;
+}
+
+/**
+ * Register all debt tracking commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerDebtCommands(bot, router) {
+  /**
+   * Record that the sender owes another user
+   */
+  router.register({
+    name: "owe",
+    args: "@username amount [note]",
+    description: "commands.owe",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const { target, rest } = resolveDebtTarget(msg, args);
+      const [amountStr, ...noteParts] = rest.split(/\s+/);
+      const amount = parseAmount(amountStr);
+
+      if (!target || !amount) {
+        await bot.sendMessage(chatId, t("owe.usage"));
+        return;
+      }
+
+      if (target.id === user.id) {
+        await bot.sendMessage(chatId, t("owe.self"));
+        return;
+      }
+
+      if (await rejectUnknownTarget(bot, chatId, target, t)) return;
+
+      const entry = addDebt(
+        chatId,
+        user.id,
+        target.id,
+        amount,
+        noteParts.join(" "),
+      );
+      await bot.sendMessage(
+        chatId,
+        t(entry.note ? "owe.recordedWithNote" : "owe.recorded", {
+          from: formatParty(String(entry.from)),
+          to: formatParty(String(entry.to)),
+          amount: formatAmount(amount),
+          note: entry.note,
+        }),
+      );
+    },
+  });
+
+  /**
+   * Show the simplified net balances of the chat
+   */
+  router.register({
+    name: "debts",
+    description: "commands.debts",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      const balances = getBalances(chatId);
+      const transfers = simplifyDebts(balances);
+
+      if (transfers.length === 0) {
+        await bot.sendMessage(chatId, t("debts.none"));
+        return;
+      }
+
+      const balanceLines = Object.entries(balances)
+        .sort(([, a], [, b]) => b - a)
+        .map(
+          ([party, balance]) =>
+            `• ${formatParty(party)}: ${balance > 0 ? "+" : "-"}${formatAmount(Math.abs(balance))}`,
+        );
+      const transferLines = transfers.map(
+        (t) =>
+          `• ${formatParty(t.from)} → ${formatParty(t.to)}: ${formatAmount(t.amount)}`,
+      );
+
+      await bot.sendMessage(
+        chatId,
+        `${t("debts.balances")}\n${balanceLines.join("\n")}\n\n` +
+          `${t("debts.transfers")}\n${transferLines.join("\n")}`,
+      );
+    },
+  });
+
+  /**
+   * Record that the sender paid another user back
+   */
+  router.register({
+    name: "settle",
+    args: "@username [amount]",
+    description: "commands.settle",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const { target, rest: amountStr } = resolveDebtTarget(msg, args);
+
+      if (!target || target.id === user.id) {
+        await bot.sendMessage(chatId, t("settle.usage"));
+        return;
+      }
+
+      if (await rejectUnknownTarget(bot, chatId, target, t)) return;
+
+      let amount;
+      if (amountStr) {
+        amount = parseAmount(amountStr);
+        if (!amount) {
+          await bot.sendMessage(chatId, t("settle.invalidAmount"));
+          return;
+        }
+      } else {
+        amount = getAmountOwed(chatId, user.id, target.id);
+        if (amount === 0) {
+          await bot.sendMessage(
+            chatId,
+            t("settle.nothingOwed", { user: formatParty(String(target.id)) }),
+          );
+          return;
+        }
+      }
+
+      const entry = addSettlement(chatId, user.id, target.id, amount);
+      await bot.sendMessage(
+        chatId,
+        t("settle.recorded", {
+          from: formatParty(String(entry.from)),
+          to: formatParty(String(entry.to)),
+          amount: formatAmount(amount),
+        }),
+      );
+    },
+  });
+
+  /**
+   * Show the most recent ledger entries of the chat
+   */
+  router.register({
+    name: "debthistory",
+    args: "[n]",
+    description: "commands.debthistory",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      const count = Math.min(
+        Math.max(1, parseInt(args, 10) || DEFAULT_HISTORY_SIZE),
+        MAX_HISTORY_SIZE,
+      );
+      const entries = getLedgerEntries(chatId).slice(-count).reverse();
+
+      if (entries.length === 0) {
+        await bot.sendMessage(chatId, t("debthistory.empty"));
+        return;
+      }
+
+      const lines = entries.map((entry) => {
+        const date = entry.timestamp.slice(0, 10);
+        const verb = t(
+          entry.type === "settle" ? "debthistory.paid" : "debthistory.owes",
+        );
+        const noteText = entry.note ? ` (${entry.note})` : "";
+        return `#${entry.id} ${date}: ${formatParty(entry.from)} ${verb} ${formatParty(entry.to)} ${formatAmount(entry.amount)}${noteText}`;
+      });
+
+      // Split between entries to stay below Telegram's message limit
+      const messages = [`${t("debthistory.title")}\n`];
+      for (const line of lines) {
+        const last = messages.length - 1;
+        if (messages[last].length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+          messages.push(line);
+        } else {
+          messages[last] += `\n${line}`;
+        }
+      }
+
+      for (const text of messages) {
+        await bot.sendMessage(chatId, text);
+      }
+    },
+  });
+
+  logger.info("Debt commands registered");
+}
@@ -0,0 +1,242 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { DEBTS_DB_PATH } from "./config.js";
+import {
+  logger,
+  normalizeUsername,
+  findUserIdByUsername,
+  loadUserDirectory,
+} from "./utils.js";
+
+/**
+ * Load the debt ledgers of all chats from JSON file
+ * @param {string} filePath - Path to the debts database file
+ * @returns {Object<string, {entries: Object[]}>} Ledgers keyed by chat ID
+ */
+export function loadLedgers(filePath = DEBTS_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading debts: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the debt ledgers of all chats to JSON file
+ * @param {Object} ledgers - Ledgers keyed by chat ID
+ * @param {string} filePath - Path to the debts database file
+ */
+export function saveLedgers(ledgers, filePath = DEBTS_DB_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(ledgers, null, 2), "utf-8");
+}
+
+/**
+ * Get the key a party of a ledger entry is counted under
+ * Entries store Telegram user IDs. Legacy entries store usernames, which are
+ * looked up in the user directory and kept as "@username" while unknown
+ * @param {number|string} party - User ID, or username of a legacy entry
+ * @returns {string} User ID as string, or "@username"
+ */
+function getPartyKey(party) {
+  if (typeof party === "number") return String(party);
+
+  const id = findUserIdByUsername(party);
+  return id !== null ? String(id) : `@${normalizeUsername(party)}`;
+}
+
+/**
+ * Format a party of the ledger for display, following username changes
+ * @param {string} key - Party key, see getLedgerEntries
+ * @returns {string} "@username", the first name, or "ID 123"
+ */
+export function formatParty(key) {
+  if (key.startsWith("@")) return key;
+
+  const user = loadUserDirectory()[key];
+  if (user?.username) return `@${user.username}`;
+  return user?.firstName || `ID ${key}`;
+}
+
+/**
+ * Get the ledger entries of a chat, oldest first
+ * The parties of the returned entries are party keys, see formatParty
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object[]} Ledger entries
+ */
+export function getLedgerEntries(chatId) {
+  return (loadLedgers()[String(chatId)]?.entries || []).map((entry) => ({
+    ...entry,
+    from: getPartyKey(entry.from),
+    to: getPartyKey(entry.to),
+  }));
+}
+
+/**
+ * Append an entry to the ledger of a chat
+ * @param {number|string} chatId - Chat ID
+ * @param {Object} entry - Entry without id and timestamp
+ * @returns {Object} The stored entry
+ */
+function appendLedgerEntry(chatId, entry) {
+  const ledgers = loadLedgers();
+  const key = String(chatId);
+  const ledger = ledgers[key] || { entries: [] };
+
+  const lastId = ledger.entries.length
+    ? ledger.entries[ledger.entries.length - 1].id
+    : 0;
+  const stored = {
+    id: lastId + 1,
+    ...entry,
+    timestamp: new Date().toISOString(),
+  };
+
+  ledger.entries.push(stored);
+  ledgers[key] = ledger;
+  saveLedgers(ledgers);
+  return stored;
+}
+
+/**
+ * Record that one user owes another
+ * @param {number|string} chatId - Chat ID
+ * @param {number} from - User ID of the debtor
+ * @param {number} to - User ID of the creditor
+ * @param {number} amount - Amount in VND
+ * @param {string} note - Optional description
+ * @returns {Object} The stored entry
+ */
+export function addDebt(chatId, from, to, amount, note = "") {
+  const entry = appendLedgerEntry(chatId, {
+    type: "debt",
+    from,
+    to,
+    amount,
+    note: note.trim(),
+  });
+  logger.info(
+    `Recorded debt in chat ${chatId}: ${entry.from} owes ${entry.to} ${amount}`,
+  );
+  return entry;
+}
+
+/**
+ * Record that one user paid another back
+ * @param {number|string} chatId - Chat ID
+ * @param {number} from - User ID of the payer
+ * @param {number} to - User ID of the receiver
+ * @param {number} amount - Amount in VND
+ * @returns {Object} The stored entry
+ */
+export function addSettlement(chatId, from, to, amount) {
+  const entry = appendLedgerEntry(chatId, {
+    type: "settle",
+    from,
+    to,
+    amount,
+    note: "",
+  });
+  logger.info(
+    `Recorded settlement in chat ${chatId}: ${entry.from} paid ${entry.to} ${amount}`,
+  );
+  return entry;
+}
+
+/**
+ * Compute the net balance of each user in a chat
+ * Positive means the user is owed money, negative means the user owes money
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object<string, number>} Balances keyed by party key
+ */
+export function getBalances(chatId) {
+  const balances = {};
+
+  for (const entry of getLedgerEntries(chatId)) {
+    // A debt moves value from debtor to creditor, a settlement reverses it
+    const sign = entry.type === "settle" ? -1 : 1;
+    balances[entry.from] = (balances[entry.from] || 0) - sign * entry.amount;
+    balances[entry.to] = (balances[entry.to] || 0) + sign * entry.amount;
+  }
+
+  for (const [party, balance] of Object.entries(balances)) {
+    if (balance === 0) delete balances[party];
+  }
+
+  return balances;
+}
+
+/**
+ * Simplify balances into a minimal list of transfers, so that chains like
+ * A→B→C collapse into A→C
+ * @param {Object<string, number>} balances - Balances keyed by party key
+ * @returns {{from: string, to: string, amount: number}[]} Transfers to settle everything
+ */
+export function simplifyDebts(balances) {
+  const debtors = [];
+  const creditors = [];
+
+  for (const [party, balance] of Object.entries(balances)) {
+    if (balance < 0) debtors.push({ party, amount: -balance });
+    if (balance > 0) creditors.push({ party, amount: balance });
+  }
+
+  debtors.sort((a, b) => b.amount - a.amount);
+  creditors.sort((a, b) => b.amount - a.amount);
+
+  const transfers = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < debtors.length && j < creditors.length) {
+    const amount = Math.min(debtors[i].amount, creditors[j].amount);
+    transfers.push({
+      from: debtors[i].party,
+      to: creditors[j].party,
+      amount,
+    });
+
+    debtors[i].amount -= amount;
+    creditors[j].amount -= amount;
+    if (debtors[i].amount === 0) i++;
+    if (creditors[j].amount === 0) j++;
+  }
+
+  return transfers;
+}
+
+/**
+ * Work out how much one user should pay another to settle up
+ * Uses the simplified transfers first, then the direct debts between the two
+ * @param {number|string} chatId - Chat ID
+ * @param {number} from - User ID of the payer
+ * @param {number} to - User ID of the receiver
+ * @returns {number} Amount owed, 0 if nothing is owed
+ */
+export function getAmountOwed(chatId, from, to) {
+  const fromKey = String(from);
+  const toKey = String(to);
+
+  const transfer = simplifyDebts(getBalances(chatId)).find(
+    (t) => t.from === fromKey && t.to === toKey,
+  );
+  if (transfer) return transfer.amount;
+
+  let direct = 0;
+  for (const entry of getLedgerEntries(chatId)) {
+    const sign = entry.type === "settle" ? -1 : 1;
+    if (entry.from === fromKey && entry.to === toKey) direct += sign * entry.amount;
+    if (entry.from === toKey && entry.to === fromKey) direct -= sign * entry.amount;
+  }
+
+  return Math.max(direct, 0);
+}
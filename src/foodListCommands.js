@@ -0,0 +1,117 @@
+import { logger, loadFoodEntries } from "./utils.js";
+import { recordAudit } from "./audit.js";
+import {
+  normalizeListName,
+  getFoodListNames,
+  getFoodListPath,
+  foodListExists,
+  createFoodList,
+  getActiveFoodList,
+  setActiveFoodList,
+} from "./foodLists.js";
+import { normalizeMealSlot } from "./mealSlots.js";
+
+/**
+ * Register the food list commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerFoodListCommands(bot, router) {
+  /**
+   * Show all food lists and which one the chat uses
+   */
+  router.register({
+    name: "lists",
+    description: "commands.lists",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const active = getActiveFoodList(chatId);
+
+      const lines = getFoodListNames().map((name) => {
+        const count = loadFoodEntries(getFoodListPath(name)).length;
+        const line = t("lists.item", { list: name, count });
+        return name === active ? `${line} ${t("lists.active")}` : line;
+      });
+
+      await bot.sendMessage(
+        chatId,
+        `${t("lists.title")}\n\n${lines.join("\n")}\n\n${t("lists.hint")}`,
+      );
+    },
+  });
+
+  /**
+   * Switch the food list used by the chat
+   */
+  router.register({
+    name: "uselist",
+    args: "name",
+    description: "commands.uselist",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      if (!args) {
+        await bot.sendMessage(
+          chatId,
+          t("uselist.usage", { lists: getFoodListNames().join(", ") }),
+        );
+        return;
+      }
+
+      const name = normalizeListName(args);
+      if (!name || !foodListExists(name)) {
+        await bot.sendMessage(
+          chatId,
+          t("uselist.notFound", {
+            list: args,
+            lists: getFoodListNames().join(", "),
+          }),
+        );
+        return;
+      }
+
+      setActiveFoodList(chatId, name);
+      await bot.sendMessage(chatId, t("uselist.done", { list: name }));
+    },
+  });
+
+  /**
+   * Create a new empty food list - Admin only
+   */
+  router.register({
+    name: "newlist",
+    args: "name",
+    description: "commands.newlist",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      if (!args) {
+        await bot.sendMessage(chatId, t("newlist.usage"));
+        return;
+      }
+
+      const name = normalizeListName(args);
+      if (!name) {
+        await bot.sendMessage(chatId, t("newlist.invalid"));
+        return;
+      }
+
+      // /food dinner must stay the dinner slot, not a list named dinner
+      if (normalizeMealSlot(name)) {
+        await bot.sendMessage(chatId, t("newlist.slotName", { list: name }));
+        return;
+      }
+
+      if (!createFoodList(name)) {
+        await bot.sendMessage(chatId, t("newlist.exists", { list: name }));
+        return;
+      }
+
+      recordAudit(msg, "newlist", null, name);
+      await bot.sendMessage(chatId, t("newlist.done", { list: name }));
+    },
+  });
+
+  logger.info("Food list commands registered");
+}
@@ -0,0 +1,183 @@
+import {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+} from "fs";
+import { dirname, join } from "path";
+import {
+  FOOD_LIST_PATH,
+  DEFAULT_FOOD_LIST,
+  FOOD_LISTS_DIR,
+  CHAT_FOOD_LISTS_DB_PATH,
+} from "./config.js";
+import { logger } from "./utils.js";
+import { normalizeMealSlot } from "./mealSlots.js";
+
+// List names double as file names, so they are kept short and plain
+// They start with a letter so they are never taken for a food number, e.g. /removefood 3
+const LIST_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+/**
+ * Normalize a food list name (lowercase, no surrounding spaces)
+ * @param {string} name - List name as typed
+ * @returns {string|null} Normalized name, or null if it is not a valid name
+ */
+export function normalizeListName(name) {
+  const normalized = (name || "").trim().toLowerCase();
+  return LIST_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Get the file of a food list
+ * The default list is the original food list file
+ * @param {string} name - List name
+ * @returns {string} Path to the list file
+ */
+export function getFoodListPath(name) {
+  return name === DEFAULT_FOOD_LIST
+    ? FOOD_LIST_PATH
+    : join(FOOD_LISTS_DIR, `${name}.txt`);
+}
+
+/**
+ * Get the names of all food lists, the default list first
+ * @returns {string[]} List names
+ */
+export function getFoodListNames() {
+  const names = existsSync(FOOD_LISTS_DIR)
+    ? readdirSync(FOOD_LISTS_DIR)
+        .filter((file) => file.endsWith(".txt"))
+        .map((file) => file.slice(0, -4))
+        .filter((name) => LIST_NAME_PATTERN.test(name))
+        .filter((name) => name !== DEFAULT_FOOD_LIST)
+        .sort()
+    : [];
+
+  return [DEFAULT_FOOD_LIST, ...names];
+}
+
+/**
+ * Check whether a food list exists
+ * @param {string} name - List name
+ * @returns {boolean} True if the list exists
+ */
+export function foodListExists(name) {
+  return getFoodListNames().includes(name);
+}
+
+/**
+ * Create an empty food list
+ * @param {string} name - Normalized list name
+ * @returns {boolean} True if the list was created, false if it already exists
+ */
+export function createFoodList(name) {
+  if (foodListExists(name)) return false;
+
+  const filePath = getFoodListPath(name);
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, "", "utf-8");
+  logger.info(`Created food list '${name}'`);
+  return true;
+}
+
+/**
+ * Load the active food list of every chat
+ * @returns {Object<string, string>} List names keyed by chat ID
+ */
+function loadChatFoodLists() {
+  try {
+    if (existsSync(CHAT_FOOD_LISTS_DB_PATH)) {
+      return JSON.parse(readFileSync(CHAT_FOOD_LISTS_DB_PATH, "utf-8"));
+    }
+  } catch (error) {
+    logger.error(`Error loading chat food lists: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Get the active food list of a chat
+ * Falls back to the default list if the chosen one no longer exists
+ * @param {number|string} chatId - Chat ID
+ * @returns {string} List name
+ */
+export function getActiveFoodList(chatId) {
+  const name = loadChatFoodLists()[chatId];
+  return name && foodListExists(name) ? name : DEFAULT_FOOD_LIST;
+}
+
+/**
+ * Set the active food list of a chat
+ * @param {number|string} chatId - Chat ID
+ * @param {string} name - Existing list name
+ */
+export function setActiveFoodList(chatId, name) {
+  const lists = loadChatFoodLists();
+  if (name === DEFAULT_FOOD_LIST) {
+    delete lists[chatId];
+  } else {
+    lists[chatId] = name;
+  }
+
+  try {
+    const dir = dirname(CHAT_FOOD_LISTS_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(
+      CHAT_FOOD_LISTS_DB_PATH,
+      JSON.stringify(lists, null, 2),
+      "utf-8",
+    );
+    logger.info(`Food list of chat ${chatId} set to ${name}`);
+  } catch (error) {
+    logger.error(`Error saving chat food lists: ${error.message}`);
+  }
+}
+
+/**
+ * Get a food list of a chat with its file and cache key
+ * The suggestion cache and history of the default list stay under the plain
+ * chat ID, the other lists get "<chatId>:<list>"
+ * @param {number|string} chatId - Chat ID
+ * @param {string} name - List name, the active list of the chat if omitted
+ * @returns {{name: string, path: string, cacheKey: string}} Food list
+ */
+export function getFoodList(chatId, name = getActiveFoodList(chatId)) {
+  return {
+    name,
+    path: getFoodListPath(name),
+    cacheKey: name === DEFAULT_FOOD_LIST ? String(chatId) : `${chatId}:${name}`,
+  };
+}
+
+/**
+ * Split an optional leading list name off command arguments
+ * e.g. "drinks Trà đá #cold" in a chat uses the drinks list
+ * For commands that also take a meal slot, a name that is both a list and a
+ * slot (the default list "lunch") picks that list and stays in the rest, so
+ * "/food lunch" is the lunch list filtered to the lunch slot
+ * @param {number|string} chatId - Chat ID
+ * @param {string} args - Command arguments
+ * @param {{withSlot?: boolean}} options - withSlot for commands taking a meal slot after the list
+ * @returns {{list: Object, rest: string}} Food list (see getFoodList) and the remaining arguments
+ */
+export function splitListArg(chatId, args, { withSlot = false } = {}) {
+  const text = (args || "").trim();
+  const [first = "", ...rest] = text.split(/\s+/);
+  const name = normalizeListName(first);
+
+  if (name && foodListExists(name)) {
+    const keepSlot = withSlot && normalizeMealSlot(name);
+    return {
+      list: getFoodList(chatId, name),
+      rest: keepSlot ? text : rest.join(" "),
+    };
+  }
+  return { list: getFoodList(chatId), rest: text };
+}
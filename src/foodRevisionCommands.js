@@ -0,0 +1,149 @@
+import {
+  logger,
+  addFoodToList,
+  formatFoodLine,
+  formatUserLabel,
+  formatDate,
+} from "./utils.js";
+import { recordAudit } from "./audit.js";
+import {
+  recordFoodRevision,
+  undoFoodRevision,
+  getTrash,
+} from "./foodRevisions.js";
+import { getFoodList } from "./foodLists.js";
+
+// Maximum number of removed foods shown by /trash
+const TRASH_MAX_ENTRIES = 20;
+
+/**
+ * Register the undo and trash commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerFoodRevisionCommands(bot, router) {
+  /**
+   * Revert the last food list change made in the chat - Admin only
+   */
+  router.register({
+    name: "undo",
+    description: "commands.undo",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const result = undoFoodRevision(chatId);
+
+      if (!result) {
+        await bot.sendMessage(chatId, t("undo.nothing"));
+        return;
+      }
+
+      const { revision, added, removed } = result;
+      recordAudit(msg, "undo", `#${revision.id} /${revision.action}`, null);
+
+      const lines = [
+        t("undo.done", {
+          action: revision.action,
+          user: formatUserLabel(revision.actor),
+        }),
+      ];
+      if (added.length > 0) {
+        lines.push(
+          t("undo.restored", { foods: added.map((e) => e.name).join(", ") }),
+        );
+      }
+      if (removed.length > 0) {
+        lines.push(
+          t("undo.removed", { foods: removed.map((e) => e.name).join(", ") }),
+        );
+      }
+      if (added.length === 0 && removed.length === 0) {
+        lines.push(t("undo.unchanged"));
+      }
+
+      await bot.sendMessage(chatId, lines.join("\n"));
+    },
+  });
+
+  /**
+   * Show the foods recently removed from the active list - Admin only
+   */
+  router.register({
+    name: "trash",
+    description: "commands.trash",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const trash = getTrash(getFoodList(chatId).name).slice(
+        0,
+        TRASH_MAX_ENTRIES,
+      );
+
+      if (trash.length === 0) {
+        await bot.sendMessage(chatId, t("trash.empty"));
+        return;
+      }
+
+      const lines = trash.map(
+        (entry, i) =>
+          `${i + 1}. ${formatFoodLine(entry)} - ${formatDate(entry.removedAt, t.lang)} (/${entry.action})`,
+      );
+      await bot.sendMessage(
+        chatId,
+        `${t("trash.title")}\n\n${lines.join("\n")}`,
+      );
+    },
+  });
+
+  /**
+   * Put a food from /trash back into the active list - Admin only
+   */
+  router.register({
+    name: "restorefood",
+    args: "n",
+    description: "commands.restorefood",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const index = parseInt(args, 10);
+
+      if (isNaN(index)) {
+        await bot.sendMessage(chatId, t("restorefood.usage"));
+        return;
+      }
+
+      const list = getFoodList(chatId);
+      const trash = getTrash(list.name).slice(0, TRASH_MAX_ENTRIES);
+      const entry = trash[index - 1];
+
+      if (!entry) {
+        await bot.sendMessage(
+          chatId,
+          trash.length === 0
+            ? t("trash.empty")
+            : t("restorefood.invalidIndex", { max: trash.length }),
+        );
+        return;
+      }
+
+      const line = formatFoodLine(entry);
+      if (!addFoodToList(line, list.path)) {
+        await bot.sendMessage(
+          chatId,
+          t("addfood.exists", { food: entry.name }),
+        );
+        return;
+      }
+
+      recordAudit(msg, "restorefood", null, line);
+      recordFoodRevision(msg, "restorefood", {
+        added: [entry],
+        list: list.name,
+      });
+      logger.info(`Restored food '${entry.name}' from the trash`);
+      await bot.sendMessage(chatId, t("restorefood.done", { food: line }));
+    },
+  });
+
+  logger.info("Food revision commands registered");
+}
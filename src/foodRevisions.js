@@ -0,0 +1,180 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import {
+  DEFAULT_FOOD_LIST,
+  FOOD_REVISIONS_PATH,
+  FOOD_REVISIONS_MAX_ENTRIES,
+  FOOD_REVISIONS_MAX_DAYS,
+} from "./config.js";
+import { logger, loadFoodEntries, replaceFoodEntries } from "./utils.js";
+import { foodKey } from "./foodTransfer.js";
+import { getFoodListPath } from "./foodLists.js";
+
+/**
+ * Load the food list revisions from JSON file
+ * @param {string} filePath - Path to the revisions file
+ * @returns {Object[]} Revisions, oldest first
+ */
+function loadRevisions(filePath = FOOD_REVISIONS_PATH) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    logger.error(`Error loading food revisions: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Save the food list revisions, dropping those past the retention limits
+ * Keeps at most FOOD_REVISIONS_MAX_ENTRIES revisions, none older than
+ * FOOD_REVISIONS_MAX_DAYS
+ * @param {Object[]} revisions - Revisions, oldest first
+ * @param {string} filePath - Path to the revisions file
+ */
+function saveRevisions(revisions, filePath = FOOD_REVISIONS_PATH) {
+  const cutoff = Date.now() - FOOD_REVISIONS_MAX_DAYS * 24 * 60 * 60 * 1000;
+  const kept = revisions
+    .filter((revision) => new Date(revision.timestamp).getTime() >= cutoff)
+    .slice(-FOOD_REVISIONS_MAX_ENTRIES);
+
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(kept, null, 2), "utf-8");
+}
+
+/**
+ * Work out which entries were added and removed between two food lists
+ * @param {{name: string, tags: string[]}[]} before - Entries before the change
+ * @param {{name: string, tags: string[]}[]} after - Entries after the change
+ * @returns {{added: Object[], removed: Object[]}} Changed entries
+ */
+export function diffFoodEntries(before, after) {
+  const beforeKeys = new Set(before.map((entry) => foodKey(entry.name)));
+  const afterKeys = new Set(after.map((entry) => foodKey(entry.name)));
+
+  return {
+    added: after.filter((entry) => !beforeKeys.has(foodKey(entry.name))),
+    removed: before.filter((entry) => !afterKeys.has(foodKey(entry.name))),
+  };
+}
+
+/**
+ * Record a change of a food list as a revision
+ * @param {Object} msg - Telegram message of the admin command
+ * @param {string} action - Action name, e.g. "addfood" or "importfood"
+ * @param {{added?: Object[], removed?: Object[], list?: string}} changes - Added and removed entries and the list they belong to
+ * @returns {Object|null} The stored revision, or null if nothing changed
+ */
+export function recordFoodRevision(
+  msg,
+  action,
+  { added = [], removed = [], list = DEFAULT_FOOD_LIST },
+) {
+  if (added.length === 0 && removed.length === 0) {
+    return null;
+  }
+
+  const revisions = loadRevisions();
+  const lastId = revisions.length ? revisions[revisions.length - 1].id : 0;
+  const revision = {
+    id: lastId + 1,
+    timestamp: new Date().toISOString(),
+    chatId: msg.chat.id,
+    actor: {
+      id: msg.from.id,
+      username: msg.from.username || null,
+      ...(msg.from.api && { api: true }),
+    },
+    action,
+    list,
+    added: added.map(({ name, tags }) => ({ name, tags })),
+    removed: removed.map(({ name, tags }) => ({ name, tags })),
+    undone: false,
+  };
+
+  revisions.push(revision);
+  try {
+    saveRevisions(revisions);
+  } catch (error) {
+    logger.error(`Error saving food revisions: ${error.message}`);
+  }
+  return revision;
+}
+
+/**
+ * Revert the last food list change made in a chat, in whichever list it was
+ * Entries added by the change are removed and removed entries come back,
+ * skipping those that were changed again since
+ * @param {number|string} chatId - Chat ID
+ * @returns {{revision: Object, added: Object[], removed: Object[]}|null} Undone revision and the entries it put back and took out, or null if there is nothing to undo
+ */
+export function undoFoodRevision(chatId) {
+  const revisions = loadRevisions();
+  const revision = revisions.findLast(
+    (r) => String(r.chatId) === String(chatId) && !r.undone,
+  );
+  if (!revision) {
+    return null;
+  }
+
+  // Revisions from before named lists all belong to the default list
+  const filePath = getFoodListPath(revision.list || DEFAULT_FOOD_LIST);
+  const current = loadFoodEntries(filePath);
+  const currentKeys = new Set(current.map((entry) => foodKey(entry.name)));
+  const addedKeys = new Set(revision.added.map((entry) => foodKey(entry.name)));
+
+  const restored = revision.removed.filter(
+    (entry) => !currentKeys.has(foodKey(entry.name)),
+  );
+  const entries = [
+    ...current.filter((entry) => !addedKeys.has(foodKey(entry.name))),
+    ...restored,
+  ];
+  const taken = current.filter((entry) => addedKeys.has(foodKey(entry.name)));
+
+  replaceFoodEntries(entries, filePath);
+  revision.undone = true;
+  saveRevisions(revisions);
+
+  logger.info(`Undid food revision ${revision.id} in chat ${chatId}`);
+  return { revision, added: restored, removed: taken };
+}
+
+/**
+ * Get the foods recently removed from a list that are not back in it
+ * @param {string} list - List name
+ * @returns {{name: string, tags: string[], removedAt: string, action: string}[]} Removed entries, newest first
+ */
+export function getTrash(list = DEFAULT_FOOD_LIST) {
+  const seen = new Set(
+    loadFoodEntries(getFoodListPath(list)).map((entry) => foodKey(entry.name)),
+  );
+  const trash = [];
+
+  for (const revision of loadRevisions().reverse()) {
+    if (revision.undone || (revision.list || DEFAULT_FOOD_LIST) !== list) {
+      continue;
+    }
+
+    for (const entry of revision.removed) {
+      const key = foodKey(entry.name);
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      trash.push({
+        ...entry,
+        removedAt: revision.timestamp,
+        action: revision.action,
+      });
+    }
+  }
+
+  return trash;
+}
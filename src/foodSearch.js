@@ -0,0 +1,129 @@
+// Scores of the match kinds, higher ranks first
+const SCORE_EXACT = 100;
+const SCORE_SAME_LETTERS = 95;
+const SCORE_PREFIX = 90;
+const SCORE_WORD_PREFIX = 80;
+const SCORE_WORDS = 60;
+
+/**
+ * Normalize text for searching: lowercase, without Vietnamese diacritics
+ * and with collapsed whitespace, so "Bún  bò Huế" becomes "bun bo hue"
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeSearchText(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated in a search word of the given length
+ * @param {number} length - Word length
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Score how well a search word matches a word of the food name
+ * @param {string} queryWord - Normalized search word
+ * @param {string} nameWord - Normalized word of the food name
+ * @returns {number} 1 for the same word, less for prefixes and typos, 0 if no match
+ */
+function scoreWord(queryWord, nameWord) {
+  if (queryWord === nameWord) return 1;
+  if (nameWord.startsWith(queryWord)) return 0.9;
+
+  const typos = allowedTypos(queryWord.length);
+  if (typos === 0) return 0;
+
+  // Compare with the start of the name word too, so a misspelled prefix
+  // such as "chje" still matches "chien"
+  const distance = Math.min(
+    editDistance(queryWord, nameWord),
+    editDistance(queryWord, nameWord.slice(0, queryWord.length)),
+  );
+  return distance <= typos ? 0.7 - 0.1 * distance : 0;
+}
+
+/**
+ * Score a food name against a search query
+ * @param {string} query - Search query as typed
+ * @param {string} name - Food name
+ * @returns {number} Score, 0 if the name does not match
+ */
+function scoreFood(query, name) {
+  if (query.replace(/\s+/g, " ").trim().toLowerCase() === name.toLowerCase()) {
+    return SCORE_EXACT;
+  }
+
+  const normalizedQuery = normalizeSearchText(query);
+  const normalizedName = normalizeSearchText(name);
+
+  if (normalizedQuery === normalizedName) return SCORE_SAME_LETTERS;
+  if (normalizedName.startsWith(normalizedQuery)) return SCORE_PREFIX;
+  if (` ${normalizedName}`.includes(` ${normalizedQuery}`)) {
+    return SCORE_WORD_PREFIX;
+  }
+
+  // Every search word must match some word of the name
+  const nameWords = normalizedName.split(/[\s,]+/).filter(Boolean);
+  let total = 0;
+  for (const queryWord of normalizedQuery.split(" ")) {
+    const best = Math.max(0, ...nameWords.map((w) => scoreWord(queryWord, w)));
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return (SCORE_WORDS * total) / normalizedQuery.split(" ").length;
+}
+
+/**
+ * Search food entries by name, ignoring case, diacritics and small typos
+ * @param {string} query - Search query, e.g. "bun bo"
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @returns {{name: string, tags: string[], score: number, exact: boolean}[]} Matches, best first
+ */
+export function searchFoods(query, entries) {
+  if (!normalizeSearchText(query)) return [];
+
+  return entries
+    .map((entry) => {
+      const score = scoreFood(query, entry.name);
+      return { ...entry, score, exact: score === SCORE_EXACT };
+    })
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
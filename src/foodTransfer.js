@@ -0,0 +1,236 @@
+import { parseFoodLine, formatFoodLine } from "./utils.js";
+
+// Formats accepted by /exportfood and /importfood
+export const TRANSFER_FORMATS = ["txt", "csv", "json"];
+
+// MIME types of exported documents
+const MIME_TYPES = {
+  txt: "text/plain",
+  csv: "text/csv",
+  json: "application/json",
+};
+
+/**
+ * Key used to compare food names: case- and whitespace-insensitive
+ * @param {string} name - Food name
+ * @returns {string} Comparison key
+ */
+export function foodKey(name) {
+  return name.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Split a tag cell such as "noodle soup" or "#noodle, #soup" into tags
+ * Anything but a string (e.g. a number in a JSON import) has no tags
+ * @param {*} text - Tag cell
+ * @returns {string[]} Lowercase tags
+ */
+function parseTagCell(text) {
+  return (typeof text === "string" ? text : "")
+    .split(/[\s,;]+/)
+    .map((tag) => tag.replace(/^#/, "").toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Format food entries as a document for /exportfood
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @param {string} format - "txt", "csv" or "json"
+ * @returns {{content: string, mimeType: string}} Document content
+ */
+export function formatFoodExport(entries, format) {
+  let content;
+
+  if (format === "json") {
+    content = JSON.stringify(
+      entries.map(({ name, tags }) => ({ name, tags })),
+      null,
+      2,
+    );
+  } else if (format === "csv") {
+    const lines = entries.map(
+      (entry) => `${csvField(entry.name)},${csvField(entry.tags.join(" "))}`,
+    );
+    content = ["name,tags", ...lines].join("\n");
+  } else {
+    content = entries.map(formatFoodLine).join("\n");
+  }
+
+  return { content, mimeType: MIME_TYPES[format] };
+}
+
+/**
+ * Guess the format of an uploaded document from its name and MIME type
+ * @param {string} fileName - Document file name
+ * @param {string} mimeType - Document MIME type
+ * @returns {string} "txt", "csv" or "json"
+ */
+export function detectImportFormat(fileName = "", mimeType = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  if (TRANSFER_FORMATS.includes(extension)) return extension;
+
+  if (mimeType.includes("json")) return "json";
+  if (mimeType.includes("csv")) return "csv";
+  return "txt";
+}
+
+/**
+ * Parse an uploaded food list document
+ * TXT has one food per line with #tags, CSV has "name,tags" columns and JSON
+ * is an array of names or {name, tags} objects
+ * @param {string} content - Document text
+ * @param {string} format - "txt", "csv" or "json"
+ * @returns {{entries: {name: string, tags: string[]}[]}|{error: string}} Parsed entries or error message key
+ */
+export function parseFoodImport(content, format) {
+  const text = content.replace(/^\uFEFF/, "");
+  let entries;
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { error: "importfood.invalidJson" };
+    }
+    if (!Array.isArray(data)) {
+      return { error: "importfood.invalidJson" };
+    }
+
+    entries = data.map((item) =>
+      typeof item === "string"
+        ? parseFoodLine(item)
+        : {
+            name: String(item?.name ?? "")
+              .replace(/\s+/g, " ")
+              .trim(),
+            tags: Array.isArray(item?.tags)
+              ? parseTagCell(
+                  item.tags.filter((tag) => typeof tag === "string").join(" "),
+                )
+              : parseTagCell(item?.tags),
+          },
+    );
+  } else if (format === "csv") {
+    const rows = parseCsv(text);
+    if (rows.length > 0 && foodKey(rows[0][0] || "") === "name") {
+      rows.shift();
+    }
+
+    entries = rows.map(([name = "", tags = ""]) => ({
+      name: name.replace(/\s+/g, " ").trim(),
+      tags: parseTagCell(tags),
+    }));
+  } else {
+    entries = text.split(/\r?\n/).map((line) => parseFoodLine(line.trim()));
+  }
+
+  return { entries: entries.filter((entry) => entry.name.length > 0) };
+}
+
+/**
+ * Work out the result of importing foods into the current list
+ * "merge" keeps every current food and adds the new ones, "replace" keeps
+ * only the imported foods. Duplicates inside the file count as duplicates.
+ * @param {{name: string, tags: string[]}[]} current - Current food entries
+ * @param {{name: string, tags: string[]}[]} imported - Imported food entries
+ * @param {string} mode - "merge" or "replace"
+ * @returns {{entries: Object[], added: string[], duplicates: string[], removed: string[]}} New list and the changes
+ */
+export function planFoodImport(current, imported, mode) {
+  const currentKeys = new Set(current.map((entry) => foodKey(entry.name)));
+  const seen = new Set();
+  const unique = [];
+  const added = [];
+  const duplicates = [];
+
+  for (const entry of imported) {
+    const key = foodKey(entry.name);
+    if (seen.has(key)) {
+      duplicates.push(entry.name);
+      continue;
+    }
+    seen.add(key);
+
+    if (currentKeys.has(key)) {
+      duplicates.push(entry.name);
+      // Replacing keeps the current spelling and tags of existing foods
+      if (mode === "replace") {
+        unique.push(current.find((c) => foodKey(c.name) === key));
+      }
+    } else {
+      added.push(entry.name);
+      unique.push(entry);
+    }
+  }
+
+  if (mode === "replace") {
+    const removed = current
+      .filter((entry) => !seen.has(foodKey(entry.name)))
+      .map((entry) => entry.name);
+    return { entries: unique, added, duplicates, removed };
+  }
+
+  return {
+    entries: [...current, ...unique],
+    added,
+    duplicates,
+    removed: [],
+  };
+}
@@ -0,0 +1,297 @@
+import {
+  logger,
+  isAdmin,
+  loadFoodEntries,
+  replaceFoodEntries,
+} from "./utils.js";
+import { recordAudit } from "./audit.js";
+import { getChatTranslator } from "./i18n.js";
+import {
+  TRANSFER_FORMATS,
+  formatFoodExport,
+  detectImportFormat,
+  parseFoodImport,
+  planFoodImport,
+} from "./foodTransfer.js";
+import { recordFoodRevision, diffFoodEntries } from "./foodRevisions.js";
+import { getFoodList } from "./foodLists.js";
+
+// Prefix of the callback data used by the import confirmation buttons
+const CALLBACK_PREFIX = "import:";
+
+// Largest document /importfood accepts, in bytes
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Unconfirmed imports are dropped after this many milliseconds
+const IMPORT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Number of food names listed per change in the preview
+const PREVIEW_NAMES = 10;
+
+// Imports waiting for confirmation, keyed by import ID
+const pendingImports = new Map();
+let nextImportId = 1;
+
+/**
+ * Download a Telegram file into a string
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<string>} File content as UTF-8 text
+ */
+async function downloadText(bot, fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Format a list of food names for the preview
+ * @param {string[]} names - Food names
+ * @param {Function} t - Translate function
+ * @returns {string} Comma separated names, shortened if long
+ */
+function formatNames(names, t) {
+  let text = names.slice(0, PREVIEW_NAMES).join(", ");
+  if (names.length > PREVIEW_NAMES) {
+    text += t("importfood.andMore", { count: names.length - PREVIEW_NAMES });
+  }
+  return text;
+}
+
+/**
+ * Build the preview text of an import plan
+ * @param {Object} plan - Result of planFoodImport
+ * @param {string} mode - "merge" or "replace"
+ * @param {Function} t - Translate function
+ * @returns {string} Preview message
+ */
+function formatPreview(plan, mode, t) {
+  let text = t("importfood.preview", {
+    mode,
+    added: plan.added.length,
+    duplicates: plan.duplicates.length,
+    removed: plan.removed.length,
+  });
+
+  if (plan.added.length > 0) {
+    text += `\n\n${t("importfood.addedList", { foods: formatNames(plan.added, t) })}`;
+  }
+  if (plan.removed.length > 0) {
+    text += `\n\n${t("importfood.removedList", { foods: formatNames(plan.removed, t) })}`;
+  }
+
+  return text;
+}
+
+/**
+ * Register food list export and import commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerFoodTransferCommands(bot, router) {
+  /**
+   * Send the food list as a document
+   */
+  router.register({
+    name: "exportfood",
+    args: `[${TRANSFER_FORMATS.join("|")}]`,
+    description: "commands.exportfood",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const format = (args || "txt").toLowerCase();
+
+      if (!TRANSFER_FORMATS.includes(format)) {
+        await bot.sendMessage(
+          chatId,
+          t("exportfood.usage", { formats: TRANSFER_FORMATS.join(", ") }),
+        );
+        return;
+      }
+
+      const entries = loadFoodEntries(getFoodList(chatId).path);
+      if (entries.length === 0) {
+        await bot.sendMessage(chatId, t("foodlist.empty"));
+        return;
+      }
+
+      const { content, mimeType } = formatFoodExport(entries, format);
+      await bot.sendDocument(
+        chatId,
+        Buffer.from(content, "utf-8"),
+        { caption: t("exportfood.caption", { count: entries.length }) },
+        { filename: `foods.${format}`, contentType: mimeType },
+      );
+    },
+  });
+
+  /**
+   * Import foods from a document the command replies to - Admin only
+   */
+  router.register({
+    name: "importfood",
+    args: "[merge|replace]",
+    description: "commands.importfood",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const mode = (args || "merge").toLowerCase();
+      const document = msg.reply_to_message?.document;
+
+      if (!["merge", "replace"].includes(mode) || !document) {
+        await bot.sendMessage(chatId, t("importfood.usage"));
+        return;
+      }
+
+      if (document.file_size > MAX_IMPORT_BYTES) {
+        await bot.sendMessage(
+          chatId,
+          t("importfood.tooLarge", { max: MAX_IMPORT_BYTES / 1024 }),
+        );
+        return;
+      }
+
+      const format = detectImportFormat(document.file_name, document.mime_type);
+      let content;
+      try {
+        content = await downloadText(bot, document.file_id);
+      } catch (error) {
+        logger.error(`Error downloading import file: ${error.message}`);
+        await bot.sendMessage(chatId, t("importfood.downloadFailed"));
+        return;
+      }
+
+      const parsed = parseFoodImport(content, format);
+
+      if (parsed.error) {
+        await bot.sendMessage(chatId, t(parsed.error));
+        return;
+      }
+      if (parsed.entries.length === 0) {
+        await bot.sendMessage(chatId, t("importfood.empty"));
+        return;
+      }
+
+      const list = getFoodList(chatId);
+      const plan = planFoodImport(
+        loadFoodEntries(list.path),
+        parsed.entries,
+        mode,
+      );
+
+      if (plan.added.length === 0 && plan.removed.length === 0) {
+        await bot.sendMessage(chatId, t("importfood.noChanges"));
+        return;
+      }
+
+      const id = nextImportId++;
+      pendingImports.set(id, {
+        msg,
+        list,
+        mode,
+        entries: parsed.entries,
+        userId: msg.from.id,
+        timer: setTimeout(() => pendingImports.delete(id), IMPORT_TIMEOUT_MS),
+      });
+
+      await bot.sendMessage(chatId, formatPreview(plan, mode, t), {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: t("importfood.confirm"),
+                callback_data: `${CALLBACK_PREFIX}confirm:${id}`,
+              },
+              {
+                text: t("importfood.cancel"),
+                callback_data: `${CALLBACK_PREFIX}cancel:${id}`,
+              },
+            ],
+          ],
+        },
+      });
+
+      logger.info(
+        `Import ${id} (${mode}, ${format}) prepared in chat ${chatId}: ${plan.added.length} added, ${plan.removed.length} removed`,
+      );
+    },
+  });
+
+  /**
+   * Apply or cancel an import from its preview buttons
+   */
+  bot.on("callback_query", async (query) => {
+    if (!query.data?.startsWith(CALLBACK_PREFIX) || !query.message) return;
+
+    const [action, idStr] = query.data.slice(CALLBACK_PREFIX.length).split(":");
+    const id = parseInt(idStr, 10);
+    const message = query.message;
+    const chatId = message.chat.id;
+    const t = getChatTranslator(chatId, query.from);
+
+    try {
+      const pending = pendingImports.get(id);
+      if (!pending || pending.msg.chat.id !== chatId) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("importfood.expired"),
+        });
+        await bot.editMessageReplyMarkup(
+          { inline_keyboard: [] },
+          { chat_id: chatId, message_id: message.message_id },
+        );
+        return;
+      }
+
+      // Only the admin who started the import may confirm it
+      if (query.from.id !== pending.userId || !isAdmin(query.from)) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("importfood.notAllowed"),
+          show_alert: true,
+        });
+        return;
+      }
+
+      pendingImports.delete(id);
+      clearTimeout(pending.timer);
+
+      if (action !== "confirm") {
+        await bot.editMessageText(t("importfood.cancelled"), {
+          chat_id: chatId,
+          message_id: message.message_id,
+        });
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      // Plan again, the list may have changed since the preview
+      const current = loadFoodEntries(pending.list.path);
+      const plan = planFoodImport(current, pending.entries, pending.mode);
+      replaceFoodEntries(plan.entries, pending.list.path);
+      recordFoodRevision(pending.msg, "importfood", {
+        ...diffFoodEntries(current, plan.entries),
+        list: pending.list.name,
+      });
+      recordAudit(
+        pending.msg,
+        "importfood",
+        plan.removed.length > 0 ? plan.removed : null,
+        plan.added.length > 0 ? plan.added : null,
+      );
+
+      await bot.editMessageText(
+        t("importfood.applied", {
+          added: plan.added.length,
+          removed: plan.removed.length,
+          total: plan.entries.length,
+        }),
+        { chat_id: chatId, message_id: message.message_id },
+      );
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      logger.error(`Error handling import action: ${error.message}`);
+    }
+  });
+
+  logger.info("Food transfer commands registered");
+}
@@ -0,0 +1,85 @@
+import { createServer } from "http";
+import { timingSafeEqual } from "crypto";
+import { logger } from "./utils.js";
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Compare a secret from a request with the expected one without leaking timing
+ * @param {string|undefined} actual - Secret sent with the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if both match
+ */
+export function secretsMatch(actual, expected) {
+  if (typeof actual !== "string" || !expected) return false;
+
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Read the body of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string|null>} Body text, or null if it is too large
+ */
+export async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Response body
+ */
+export function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start an HTTP server
+ * Errors thrown by the handler are logged and answered with a 500
+ * @param {Function} handler - async (req, res) => void
+ * @param {number} port - Port to listen on
+ * @param {string} host - Address to listen on
+ * @returns {Promise<http.Server>} The listening server
+ */
+export async function startServer(handler, port, host) {
+  const server = createServer((req, res) => {
+    handler(req, res).catch((error) => {
+      logger.error(`Error handling ${req.method} ${req.url}: ${error.message}`);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+/**
+ * Stop an HTTP server, letting requests in progress finish
+ * @param {http.Server} server - Server to stop
+ * @returns {Promise<void>}
+ */
+export async function stopServer(server) {
+  await new Promise((resolve) => {
+    server.close(resolve);
+    server.closeIdleConnections();
+  });
+}
@@ -0,0 +1,129 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { CHAT_LANGUAGES_DB_PATH, DEFAULT_LANGUAGE } from "./config.js";
+import { logger } from "./utils.js";
+import en from "./locales/en.js";
+import vi from "./locales/vi.js";
+
+// Message catalogs keyed by language code
+const CATALOGS = { en, vi };
+
+// Language codes the bot can reply in
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Map a Telegram language code (e.g. "vi", "en-US") to a supported language
+ * @param {string|undefined} code - Language code
+ * @returns {string|null} Supported language or null
+ */
+export function normalizeLanguage(code) {
+  if (!code) return null;
+
+  const language = code.toLowerCase().split("-")[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Translate a message key, replacing {placeholders} with params
+ * A message may have plural forms ({one, other}), picked by params.count.
+ * Missing keys fall back to DEFAULT_LANGUAGE, then to the key itself.
+ * @param {string} lang - Language code
+ * @param {string} key - Message key, e.g. "food.suggestion"
+ * @param {Object} params - Values for the placeholders
+ * @returns {string} Translated message
+ */
+export function translate(lang, key, params = {}) {
+  let message = CATALOGS[lang]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+
+  if (message === undefined) {
+    logger.warn(`Missing translation for '${key}'`);
+    return key;
+  }
+
+  if (typeof message === "object") {
+    message =
+      params.count === 1 && message.one !== undefined
+        ? message.one
+        : message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder,
+  );
+}
+
+/**
+ * Get a translate function bound to a language
+ * @param {string} lang - Language code
+ * @returns {Function} (key, params) => string, with the language as t.lang
+ */
+export function getTranslator(lang = DEFAULT_LANGUAGE) {
+  const t = (key, params) => translate(lang, key, params);
+  t.lang = lang;
+  return t;
+}
+
+/**
+ * Load the per-chat language settings
+ * @returns {Object<string, string>} Language codes keyed by chat ID
+ */
+function loadChatLanguages() {
+  try {
+    if (existsSync(CHAT_LANGUAGES_DB_PATH)) {
+      return JSON.parse(readFileSync(CHAT_LANGUAGES_DB_PATH, "utf-8"));
+    }
+  } catch (error) {
+    logger.error(`Error loading chat languages: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Get the language of a chat
+ * Falls back to the user's Telegram language, then to DEFAULT_LANGUAGE
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - Telegram user object (optional)
+ * @returns {string} Language code
+ */
+export function getChatLanguage(chatId, user = null) {
+  return (
+    normalizeLanguage(loadChatLanguages()[chatId]) ||
+    normalizeLanguage(user?.language_code) ||
+    DEFAULT_LANGUAGE
+  );
+}
+
+/**
+ * Set the language of a chat
+ * @param {number} chatId - Chat ID
+ * @param {string} lang - Supported language code
+ */
+export function setChatLanguage(chatId, lang) {
+  const languages = loadChatLanguages();
+  languages[chatId] = lang;
+
+  try {
+    const dir = dirname(CHAT_LANGUAGES_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(
+      CHAT_LANGUAGES_DB_PATH,
+      JSON.stringify(languages, null, 2),
+      "utf-8",
+    );
+    logger.info(`Language of chat ${chatId} set to ${lang}`);
+  } catch (error) {
+    logger.error(`Error saving chat languages: ${error.message}`);
+  }
+}
+
+/**
+ * Get a translate function for a chat
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - Telegram user object (optional)
+ * @returns {Function} Translate function, see getTranslator
+ */
+export function getChatTranslator(chatId, user = null) {
+  return getTranslator(getChatLanguage(chatId, user));
+}
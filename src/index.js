@@ -1,5 +1,5 @@
 import TelegramBot from "node-telegram-bot-api";
-import { TOKEN, FOOD_LIST_PATH } from "./config.js";
+import { TOKEN, BOT_MODE } from "./config.js";
 import {
   logger,
   getRandomFood,
@@ -7,229 +7,465 @@ import {
   addFoodToList,
   removeFoodByIndex,
   getAllFoods,
-  checkCommandRestriction,
-  isAdmin,
+  rememberUser,
+  rememberUsersFromMessage,
+  isFoodCacheLocked,
+  parseTagFilter,
+  getTagCounts,
+  getFoodHistory,
+  formatDate,
+  formatAmount,
+  loadFoodEntries,
+  formatFoodLine,
 } from "./utils.js";
+import { searchFoods } from "./foodSearch.js";
+import { getFoodList, splitListArg } from "./foodLists.js";
+import { splitMealSlotArg, getSlotCacheKey } from "./mealSlots.js";
+import { registerFoodListCommands } from "./foodListCommands.js";
+import { parseSplitArgs, calculateSplit } from "./split.js";
 import { registerAdminCommands } from "./adminCommands.js";
+import { registerDebtCommands } from "./debtCommands.js";
+import { registerPaymentCommands } from "./paymentCommands.js";
+import { registerVoteCommands } from "./voteCommands.js";
+import { registerTournamentCommands } from "./tournamentCommands.js";
+import { registerOrderCommands } from "./orderCommands.js";
+import { registerFoodTransferCommands } from "./foodTransferCommands.js";
+import { registerFoodRevisionCommands } from "./foodRevisionCommands.js";
+import { registerRateLimitCommands } from "./rateLimitCommands.js";
+import {
+  registerScheduleCommands,
+  startScheduler,
+  stopScheduler,
+} from "./scheduleCommands.js";
+import { registerInlineQuery } from "./inlineQuery.js";
+import { createCommandRouter } from "./commandRouter.js";
+import { startWebhook, stopWebhook } from "./webhook.js";
+import { startAdminApi, stopAdminApi } from "./adminApi.js";
+import {
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  setChatLanguage,
+  getTranslator,
+} from "./i18n.js";
+import {
+  registerSuggestionActions,
+  suggestionKeyboard,
+} from "./suggestionActions.js";
 
-// Create bot instance with polling
-const bot = new TelegramBot(TOKEN, { polling: true });
+// Number of results shown by /findfood
+const FIND_MAX_RESULTS = 10;
 
-// Register admin commands
-registerAdminCommands(bot);
+// Create bot instance, polling unless updates come in through the webhook
+const bot = new TelegramBot(TOKEN, { polling: BOT_MODE === "polling" });
 
-logger.info("Bot started and listening for messages...");
+// Remember users seen in updates, so restrictions and admin rights follow
+// their Telegram user ID rather than their username
+bot.on("message", (msg) => rememberUsersFromMessage(msg));
+bot.on("callback_query", (query) => rememberUser(query.from));
+bot.on("inline_query", (inlineQuery) => rememberUser(inlineQuery.from));
+
+// Route all commands through one registry, so permissions are checked once
+// and /help and the Telegram command menus are generated from it
+const router = createCommandRouter(bot);
 
 /**
- * Send a message when the command /start is issued
+ * Send a random food suggestion when the command /food is issued
+ * An optional list name picks another list than the active one, an optional
+ * meal slot another slot than the current one and optional tags narrow the
+ * suggestion, e.g. /food drinks, /food breakfast or /food noodle -spicy
  */
-bot.onText(/\/start/, async (msg) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
-
-  logger.info(`Start command triggered - chat ID: ${chatId}`);
-  logger.info(
-    `Message from user ID: ${user.id}, Username: ${user.username || "none"}`,
-  );
-
-  // Check restriction only if username exists
-  if (user.username) {
-    const isRestricted = await checkCommandRestriction(
-      bot,
-      chatId,
-      user.username,
-    );
-    if (isRestricted) return;
-  }
+router.register({
+  name: "food",
+  args: "[list] [slot] [tag] [-tag]",
+  description: "commands.food",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+
+    logger.info(`Food command called by user: ${user.username || user.id}`);
+
+    const { list, rest: listRest } = splitListArg(chatId, args, {
+      withSlot: true,
+    });
+    const { slot, rest } = splitMealSlotArg(listRest);
+    const tagFilter = rest ? parseTagFilter(rest) : null;
+    const cacheKey = getSlotCacheKey(list.cacheKey, slot);
+
+    logger.info(`Food list path: ${list.path}, meal slot: ${slot}`);
+    const food = getRandomFood(list.path, false, cacheKey, tagFilter, slot);
+
+    if (food) {
+      // A locked-in suggestion can no longer be rerolled
+      const options = isFoodCacheLocked(cacheKey)
+        ? {}
+        : { reply_markup: suggestionKeyboard(t, list.name, slot) };
+      await bot.sendMessage(chatId, t("food.suggestion", { food }), options);
+    } else if (tagFilter) {
+      await bot.sendMessage(chatId, t("food.noMatch", { filter: rest }));
+    } else if (loadFoodEntries(list.path).length > 0) {
+      await bot.sendMessage(chatId, t("food.noSlotMatch", { slot }));
+    } else {
+      await bot.sendMessage(chatId, t("food.noFoods"));
+    }
+  },
+});
 
-  const firstName = user.first_name || "User";
-  const userIsAdmin = isAdmin(user.username);
-
-  const commonCommands =
-    `/food - Get a random food suggestion\n` +
-    `/newfood - Force a new food suggestion\n` +
-    `/foodlist - Show all foods in the list\n` +
-    `/help - Show all available commands`;
-
-  const adminCommands =
-    `/clearfood - Clear current food suggestion\n` +
-    `/addfood - Add a new food to the list\n` +
-    `/removefood - Remove a food from the list\n` +
-    `/addadmin @username - Add a new admin\n` +
-    `/removeadmin @username - Remove an admin\n` +
-    `/listadmins - List all admins\n` +
-    `/restrict @username - Restrict a user\n` +
-    `/unrestrict @username - Unrestrict a user\n` +
-    `/listrestricted - List all restricted users`;
-
-  let welcomeText = `Hi ${firstName}! I am your Food and Foodlist Bot.\n\n`;
-  welcomeText += `*Commands:*\n${commonCommands}\n\n`;
-
-  if (userIsAdmin) {
-    welcomeText += `👑 *Admin Commands:*\n${adminCommands}\n\n`;
-  }
+/**
+ * Show all tags of the active food list with counts when the command /tags is issued
+ */
+router.register({
+  name: "tags",
+  description: "commands.tags",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const tagCounts = getTagCounts(getFoodList(chatId).path);
+
+    if (tagCounts.length === 0) {
+      await bot.sendMessage(chatId, t("tags.empty"));
+      return;
+    }
 
-  await bot.sendMessage(chatId, welcomeText, { parse_mode: "Markdown" });
+    const lines = tagCounts.map(({ tag, count }) => `#${tag} (${count})`);
+    await bot.sendMessage(chatId, `${t("tags.title")}\n\n${lines.join("\n")}`);
+  },
 });
 
 /**
- * Send help information when the command /help is issued
+ * Show the recent suggestions of the chat's active list when the command
+ * /history is issued
  */
-bot.onText(/\/help/, async (msg) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
-
-  // Check restriction only if username exists
-  if (user.username) {
-    const isRestricted = await checkCommandRestriction(
-      bot,
+router.register({
+  name: "history",
+  args: "[n]",
+  description: "commands.history",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const limit = parseInt(args, 10) || 10;
+    const history = getFoodHistory(getFoodList(chatId).cacheKey, limit);
+
+    if (history.length === 0) {
+      await bot.sendMessage(chatId, t("history.empty"));
+      return;
+    }
+
+    const lines = history.map(
+      (entry) =>
+        `${formatDate(entry.timestamp, t.lang)} - ${entry.food}${entry.slot ? ` (${entry.slot})` : ""}`,
+    );
+    await bot.sendMessage(
       chatId,
-      user.username,
+      `${t("history.title")}\n\n${lines.join("\n")}`,
     );
-    if (isRestricted) return;
-  }
+  },
+});
 
-  const commonCommands =
-    `/food - Get a random food suggestion\n` +
-    `/newfood - Force a new food suggestion\n` +
-    `/foodlist - Show all foods in the list\n` +
-    `/help - Show all available commands`;
-
-  const adminCommands =
-    `/clearfood - Clear current food suggestion\n` +
-    `/addfood - Add a new food to the list\n` +
-    `/removefood - Remove a food from the list\n` +
-    `/addadmin @username - Add a new admin\n` +
-    `/removeadmin @username - Remove an admin\n` +
-    `/listadmins - List all admins\n` +
-    `/restrict @username - Restrict a user\n` +
-    `/unrestrict @username - Unrestrict a user\n` +
-    `/listrestricted - List all restricted users`;
-
-  let helpText = `📖 *Available Commands:*\n\n*Food Commands:*\n${commonCommands}`;
-
-  if (isAdmin(user.username)) {
-    helpText += `\n\n👑 *Admin Commands:*\n${adminCommands}`;
-  }
+/**
+ * Force a new random food suggestion when the command /newfood is issued
+ */
+router.register({
+  name: "newfood",
+  args: "[list] [slot]",
+  description: "commands.newfood",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const { list, rest } = splitListArg(chatId, args, { withSlot: true });
+    const { slot } = splitMealSlotArg(rest);
+
+    logger.info(`Food list path: ${list.path}, meal slot: ${slot}`);
+    const food = getRandomFood(
+      list.path,
+      true,
+      getSlotCacheKey(list.cacheKey, slot),
+      null,
+      slot,
+    );
 
-  await bot.sendMessage(chatId, helpText, { parse_mode: "Markdown" });
+    if (food) {
+      await bot.sendMessage(chatId, t("food.newSuggestion", { food }), {
+        reply_markup: suggestionKeyboard(t, list.name, slot),
+      });
+    } else if (loadFoodEntries(list.path).length > 0) {
+      await bot.sendMessage(chatId, t("food.noSlotMatch", { slot }));
+    } else {
+      await bot.sendMessage(chatId, t("food.noFoods"));
+    }
+  },
 });
 
 /**
- * Send a random food suggestion when the command /food is issued
+ * Show all foods in the active or the given list when the command /foodlist is issued
  */
-bot.onText(/\/food(?!\w)/, async (msg) => {
-  // Prevent matching /foodlist
-  if (msg.text.startsWith("/foodlist")) return;
-
-  const chatId = msg.chat.id;
-  const user = msg.from;
+router.register({
+  name: "foodlist",
+  args: "[list]",
+  description: "commands.foodlist",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const { list } = splitListArg(chatId, args);
+    const { formattedText } = getAllFoods(list.path, true, t);
+
+    // Telegram has a message limit, so we might need to chunk it
+    if (formattedText.length > 4000) {
+      const chunks = [];
+      for (let i = 0; i < formattedText.length; i += 4000) {
+        chunks.push(formattedText.slice(i, i + 4000));
+      }
+
+      for (let i = 0; i < chunks.length; i++) {
+        const header =
+          i === 0
+            ? `${t("foodlist.part", { part: i + 1, total: chunks.length, list: list.name })}\n\n`
+            : "";
+        await bot.sendMessage(chatId, `${header}${chunks[i]}`);
+      }
+    } else {
+      await bot.sendMessage(
+        chatId,
+        `${t("foodlist.title", { list: list.name })}\n\n${formattedText}`,
+      );
+    }
+  },
+});
 
-  logger.info(`Food command called by user: ${user.username || user.id}`);
+/**
+ * Search the active food list by name when the command /findfood is issued
+ */
+router.register({
+  name: "findfood",
+  args: "name",
+  description: "commands.findfood",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+
+    if (!args) {
+      await bot.sendMessage(chatId, t("findfood.usage"));
+      return;
+    }
 
-  // Check restriction only if username exists
-  if (user.username) {
-    const isRestricted = await checkCommandRestriction(
-      bot,
-      chatId,
-      user.username,
+    const matches = searchFoods(
+      args,
+      loadFoodEntries(getFoodList(chatId).path),
     );
-    if (isRestricted) return;
-  }
-
-  logger.info(`Food list path: ${FOOD_LIST_PATH}`);
-  const food = getRandomFood(FOOD_LIST_PATH);
+    if (matches.length === 0) {
+      await bot.sendMessage(chatId, t("findfood.none", { query: args.trim() }));
+      return;
+    }
 
-  if (food) {
-    await bot.sendMessage(chatId, `🍽️ Random food suggestion: ${food}`);
-  } else {
+    const lines = matches
+      .slice(0, FIND_MAX_RESULTS)
+      .map((entry, i) => `${i + 1}. ${formatFoodLine(entry)}`);
     await bot.sendMessage(
       chatId,
-      "No foods available. Please import a food list first.",
+      `${t("findfood.title", { query: args.trim() })}\n\n${lines.join("\n")}`,
     );
-  }
+  },
 });
 
+// Register named food lists
+registerFoodListCommands(bot, router);
+
+// Register food list export and import
+registerFoodTransferCommands(bot, router);
+
+// Register group voting commands
+registerVoteCommands(bot, router);
+
+// Register the elimination tournament
+registerTournamentCommands(bot, router);
+
+// Register group order commands
+registerOrderCommands(bot, router);
+
+// Register debt tracking commands
+registerDebtCommands(bot, router);
+
+// Register bank accounts and payment QR codes
+registerPaymentCommands(bot, router);
+
 /**
- * Force a new random food suggestion when the command /newfood is issued
+ * Split a bill between users when the command /split is issued
  */
-bot.onText(/\/newfood/, async (msg) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
-
-  // Check restriction only if username exists
-  if (user.username) {
-    const isRestricted = await checkCommandRestriction(
-      bot,
-      chatId,
-      user.username,
+router.register({
+  name: "split",
+  args: "total @a @b:amount @c*2 [10%]",
+  description: "commands.split",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const parsed = parseSplitArgs(args);
+    const result = parsed.error ? parsed : calculateSplit(parsed);
+
+    if (result.error) {
+      await bot.sendMessage(
+        chatId,
+        `${t(result.error, result.params)}\n${t("split.usage")}`,
+      );
+      return;
+    }
+
+    const lines = result.shares.map(
+      (share) => `• @${share.username}: ${formatAmount(share.amount)}`,
     );
-    if (isRestricted) return;
-  }
 
-  logger.info(`Food list path: ${FOOD_LIST_PATH}`);
-  const food = getRandomFood(FOOD_LIST_PATH, true);
+    let text = t("split.bill", { total: formatAmount(parsed.total) });
+    if (parsed.tipPercent > 0) {
+      text += t("split.tip", {
+        percent: parsed.tipPercent,
+        tip: formatAmount(result.tip),
+      });
+    }
+    text += `\n\n${lines.join("\n")}\n\n`;
+    text += t("split.totalToCollect", {
+      total: formatAmount(result.grandTotal),
+    });
+
+    const exactTotal = parsed.total + result.tip;
+    if (Math.round(exactTotal) !== result.grandTotal) {
+      text += t("split.rounded", { total: formatAmount(exactTotal) });
+    }
 
-  if (food) {
-    await bot.sendMessage(chatId, `🍽️ New food suggestion: ${food}`);
-  } else {
-    await bot.sendMessage(
-      chatId,
-      "No foods available. Please import a food list first.",
-    );
-  }
+    await bot.sendMessage(chatId, text);
+  },
 });
 
 /**
- * Show all foods in the list when the command /foodlist is issued
+ * Show or change the language of the chat when the command /lang is issued
  */
-bot.onText(/\/foodlist/, async (msg) => {
-  const chatId = msg.chat.id;
-  const user = msg.from;
-
-  // Check restriction only if username exists
-  if (user.username) {
-    const isRestricted = await checkCommandRestriction(
-      bot,
-      chatId,
-      user.username,
+router.register({
+  name: "lang",
+  args: SUPPORTED_LANGUAGES.join("|"),
+  description: "commands.lang",
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const languages = SUPPORTED_LANGUAGES.join(", ");
+
+    if (!args) {
+      await bot.sendMessage(
+        chatId,
+        t("lang.current", {
+          language: t("language.name"),
+          languages,
+          example: SUPPORTED_LANGUAGES.join("|"),
+        }),
+      );
+      return;
+    }
+
+    const lang = normalizeLanguage(args);
+    if (!lang) {
+      await bot.sendMessage(
+        chatId,
+        t("lang.unsupported", { language: args, languages }),
+      );
+      return;
+    }
+
+    setChatLanguage(chatId, lang);
+    await bot.sendMessage(chatId, getTranslator(lang)("lang.changed"));
+  },
+});
+
+/**
+ * Send a welcome message when the command /start is issued
+ */
+router.register({
+  name: "start",
+  description: "commands.start",
+  hidden: true,
+  handler: async (msg, args, { t }) => {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+
+    logger.info(`Start command triggered - chat ID: ${chatId}`);
+    logger.info(
+      `Message from user ID: ${user.id}, Username: ${user.username || "none"}`,
     );
-    if (isRestricted) return;
-  }
 
-  const { formattedText } = getAllFoods(FOOD_LIST_PATH, true);
+    const firstName = user.first_name || "User";
+    const { common, admin } = router.getHelpText(user, t);
 
-  // Telegram has a message limit, so we might need to chunk it
-  if (formattedText.length > 4000) {
-    const chunks = [];
-    for (let i = 0; i < formattedText.length; i += 4000) {
-      chunks.push(formattedText.slice(i, i + 4000));
+    let welcomeText = `${t("help.welcome", { name: firstName })}\n\n`;
+    welcomeText += `${t("help.commands")}\n${common}\n\n`;
+
+    if (admin) {
+      welcomeText += `${t("help.adminCommands")}\n${admin}\n\n`;
     }
 
-    for (let i = 0; i < chunks.length; i++) {
-      const header =
-        i === 0 ? `🍽️ Food List (Part ${i + 1}/${chunks.length}):\n\n` : "";
-      await bot.sendMessage(chatId, `${header}${chunks[i]}`);
+    await bot.sendMessage(chatId, welcomeText, { parse_mode: "Markdown" });
+  },
+});
+
+/**
+ * Send help information when the command /help is issued
+ */
+router.register({
+  name: "help",
+  description: "commands.help",
+  handler: async (msg, args, { t }) => {
+    const { common, admin } = router.getHelpText(msg.from, t);
+
+    let helpText = `${t("help.title")}\n\n${t("help.foodCommands")}\n${common}`;
+
+    if (admin) {
+      helpText += `\n\n${t("help.adminCommands")}\n${admin}`;
     }
-  } else {
-    await bot.sendMessage(chatId, `🍽️ Food List:\n\n${formattedText}`);
-  }
+
+    await bot.sendMessage(msg.chat.id, helpText, { parse_mode: "Markdown" });
+  },
 });
 
+// Register admin commands
+registerAdminCommands(bot, router);
+
+// Register undo and trash for food list changes
+registerFoodRevisionCommands(bot, router);
+
+// Register the rate limiter and /ratelimit
+registerRateLimitCommands(bot, router);
+
+// Register daily announcements and start the scheduler
+registerScheduleCommands(bot, router);
+startScheduler(bot);
+
+// Register inline buttons on food suggestions
+registerSuggestionActions(bot);
+
+// Register inline mode (@bot in any chat)
+registerInlineQuery(bot);
+
+// Start routing commands and push the command menus to Telegram
+router.start();
+
+// Receive updates through the webhook server instead of polling
+if (BOT_MODE === "webhook") {
+  await startWebhook(bot);
+}
+
+// Serve the local admin API if a token is configured
+await startAdminApi(router);
+
+logger.info(`Bot started in ${BOT_MODE} mode and listening for messages...`);
+
 // Error handling
 bot.on("polling_error", (error) => {
   logger.error(`Polling error: ${error.message}`);
 });
 
-// Graceful shutdown
-process.on("SIGINT", () => {
-  logger.info("Received SIGINT, shutting down...");
-  bot.stopPolling();
+/**
+ * Stop receiving updates and exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down...`);
+  stopScheduler();
+  await stopAdminApi();
+  if (BOT_MODE === "webhook") {
+    await stopWebhook();
+  } else {
+    await bot.stopPolling();
+  }
   process.exit(0);
-});
+}
 
-process.on("SIGTERM", () => {
-  logger.info("Received SIGTERM, shutting down...");
-  bot.stopPolling();
-  process.exit(0);
-});
+// Graceful shutdown
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
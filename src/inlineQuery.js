@@ -0,0 +1,106 @@
+import {
+  logger,
+  isRestrictedUser,
+  loadFoodEntries,
+  getRandomFoods,
+} from "./utils.js";
+import { FOOD_LIST_PATH } from "./config.js";
+import { getChatTranslator } from "./i18n.js";
+import { searchFoods, normalizeSearchText } from "./foodSearch.js";
+
+// Number of random suggestions offered for an empty query
+const RANDOM_RESULTS = 5;
+
+// Telegram accepts at most 50 results per inline query answer
+const MAX_RESULTS = 50;
+
+/**
+ * Build an inline query result that posts a food suggestion
+ * @param {Function} t - Translate function for the posted message
+ * @param {string} food - Food name
+ * @param {number} index - Position of the result, used as its ID
+ * @param {string[]} tags - Tags of the food
+ * @returns {Object} InlineQueryResultArticle
+ */
+function buildResult(t, food, index, tags = []) {
+  return {
+    type: "article",
+    id: String(index),
+    title: food,
+    description: tags.map((tag) => `#${tag}`).join(" ") || undefined,
+    input_message_content: {
+      message_text: t("inline.suggestion", { food }),
+    },
+  };
+}
+
+/**
+ * Find the foods matching the query by name (same matcher as /findfood),
+ * followed by the other foods having a tag that contains it
+ * @param {string} query - Search text
+ * @returns {{name: string, tags: string[]}[]} Matching food entries
+ */
+function searchInlineFoods(query) {
+  const entries = loadFoodEntries(FOOD_LIST_PATH);
+  const byName = searchFoods(query, entries);
+  const names = new Set(byName.map((entry) => entry.name));
+  const tagQuery = normalizeSearchText(query.replace(/^#/, ""));
+
+  const byTag = tagQuery
+    ? entries.filter(
+        (entry) =>
+          !names.has(entry.name) &&
+          entry.tags.some((tag) => normalizeSearchText(tag).includes(tagQuery)),
+      )
+    : [];
+
+  return [...byName, ...byTag];
+}
+
+/**
+ * Register inline mode so "@bot" works in any chat
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+export function registerInlineQuery(bot) {
+  bot.on("inline_query", async (inlineQuery) => {
+    const user = inlineQuery.from;
+    const query = inlineQuery.query.trim();
+    // Inline queries have no chat, so use the user's private chat language
+    const t = getChatTranslator(user.id, user);
+
+    try {
+      if (isRestrictedUser(user)) {
+        await bot.answerInlineQuery(inlineQuery.id, [], {
+          cache_time: 0,
+          is_personal: true,
+        });
+        return;
+      }
+
+      let results;
+      if (query) {
+        results = searchInlineFoods(query)
+          .slice(0, MAX_RESULTS)
+          .map((entry, i) => buildResult(t, entry.name, i, entry.tags));
+      } else {
+        results = getRandomFoods(RANDOM_RESULTS, FOOD_LIST_PATH).map(
+          (food, i) => buildResult(t, food, i),
+        );
+      }
+
+      logger.info(
+        `Inline query '${query}' from ${user.username || user.id}: ${results.length} results`,
+      );
+
+      // Random suggestions must not be cached by Telegram
+      await bot.answerInlineQuery(inlineQuery.id, results, {
+        cache_time: query ? 60 : 0,
+        is_personal: true,
+      });
+    } catch (error) {
+      logger.error(`Error answering inline query: ${error.message}`);
+    }
+  });
+
+  logger.info("Inline query handler registered");
+}
@@ -0,0 +1,399 @@
+// English message catalog
+// Placeholders in {braces} are replaced by translate(); an {one, other}
+// object holds the singular and plural form, picked by {count}
+export default {
+  "language.name": "English",
+
+  // Command descriptions for /help and the Telegram command menu
+  "commands.food": "Get a random food suggestion",
+  "commands.tags": "Show all food tags",
+  "commands.history": "Show recent suggestions in this chat",
+  "commands.newfood": "Force a new food suggestion",
+  "commands.foodlist": "Show all foods in the list",
+  "commands.findfood": "Search foods by name",
+  "commands.lists": "Show all food lists",
+  "commands.uselist": "Switch the food list of this chat",
+  "commands.exportfood": "Download the food list as a file",
+  "commands.vote": "Start a poll between n random foods",
+  "commands.closevote": "Close the running poll early",
+  "commands.tournament": "Pick the food in an elimination bracket",
+  "commands.order": "Open, show or close a group order",
+  "commands.me": "Add or change your dishes in the group order",
+  "commands.owe": "Record that you owe someone",
+  "commands.debts": "Show who owes whom",
+  "commands.settle": "Record that you paid someone back",
+  "commands.debthistory": "Show recent debt records",
+  "commands.bank": "Register your bank account for payment QR codes",
+  "commands.payme": "Show a QR code to pay you",
+  "commands.pay": "Show a QR code to pay someone",
+  "commands.split": "Split a bill",
+  "commands.lang": "Change the language of this chat",
+  "commands.start": "Start the bot",
+  "commands.help": "Show all available commands",
+  "commands.clearfood": "Clear current food suggestion",
+  "commands.addfood": "Add a new food to the list",
+  "commands.removefood": "Remove a food from the list",
+  "commands.newlist": "Create a new food list",
+  "commands.undo": "Undo the last food list change in this chat",
+  "commands.trash": "Show recently removed foods",
+  "commands.restorefood": "Put a removed food back",
+  "commands.importfood": "Import foods from an uploaded file",
+  "commands.addadmin": "Add a new admin",
+  "commands.removeadmin": "Remove an admin",
+  "commands.listadmins": "List all admins",
+  "commands.restrict": "Restrict a user",
+  "commands.unrestrict": "Unrestrict a user",
+  "commands.listrestricted": "List all restricted users",
+  "commands.auditlog": "Browse admin changes",
+  "commands.ratelimit": "Show or change command rate limits",
+  "commands.schedule": "Post a daily suggestion",
+  "commands.unschedule": "Remove daily suggestions",
+  "commands.schedules": "List daily suggestions of this chat",
+
+  // /start and /help
+  "help.welcome": "Hi {name}! I am your Food and Foodlist Bot.",
+  "help.commands": "*Commands:*",
+  "help.adminCommands": "👑 *Admin Commands:*",
+  "help.title": "📖 *Available Commands:*",
+  "help.foodCommands": "*Food Commands:*",
+
+  // Permissions
+  "permission.restricted": "You need to top up VIP to use this command",
+  "permission.remaining": "⏳ Time left: {duration}",
+  "permission.reason": "📝 Reason: {reason}",
+  "permission.adminOnly":
+    "⛔ You don't have permission to use this command. Only admins are allowed.",
+
+  // /lang
+  "lang.current":
+    "🌐 Language of this chat: {language}\nAvailable: {languages}\nChange it with /lang {example}",
+  "lang.unsupported":
+    'Unsupported language "{language}". Available: {languages}',
+  "lang.changed": "🌐 This chat now speaks English.",
+
+  // Food suggestions
+  "food.suggestion": "🍽️ Random food suggestion: {food}",
+  "food.newSuggestion": "🍽️ New food suggestion: {food}",
+  "food.noFoods": "No foods available. Please import a food list first.",
+  "food.noMatch":
+    'No foods match "{filter}". Use /tags to see the available tags.',
+  "food.noSlotMatch":
+    "No foods for {slot}. Tag foods with #{slot} or leave them untagged to suggest them all day.",
+  "foodlist.title": "🍽️ Food List ({list}):",
+  "foodlist.part": "🍽️ Food List ({list}, Part {part}/{total}):",
+  "foodlist.empty": "No foods available in the list.",
+
+  // Food lists
+  "lists.title": "📚 Food lists:",
+  "lists.item": {
+    one: "• {list} ({count} food)",
+    other: "• {list} ({count} foods)",
+  },
+  "lists.active": "✅",
+  "lists.hint":
+    "Switch with /uselist <name> or pick one for a single suggestion with /food <name>",
+  "uselist.usage": "Usage: /uselist <name>\nAvailable: {lists}",
+  "uselist.notFound": 'No food list named "{list}". Available: {lists}',
+  "uselist.done": "📚 This chat now uses the {list} list.",
+  "newlist.usage": "Usage: /newlist <name>, e.g. /newlist drinks",
+  "newlist.invalid":
+    "List names start with a letter a-z and may only use letters, digits, - and _ (up to 32 characters).",
+  "newlist.exists": 'The food list "{list}" already exists.',
+  "newlist.slotName":
+    '"{list}" is the name of a meal slot, please choose another list name.',
+  "newlist.done":
+    '📚 Created the food list "{list}". Add foods with /addfood {list} <food>',
+  "tags.empty":
+    "No tags in the food list yet. Add some with /addfood Phở #noodle #soup",
+  "tags.title": "🏷️ Tags:",
+  "history.empty": "No suggestions in this chat yet.",
+  "history.title": "📅 Recent suggestions:",
+  "findfood.usage": "Please specify what to look for, e.g. /findfood bun bo",
+  "findfood.none": 'No foods match "{query}".',
+  "findfood.title": '🔎 Foods matching "{query}":',
+
+  // Suggestion buttons
+  "suggestion.reroll": "🔁 Reroll",
+  "suggestion.accept": "✅ Let's go",
+  "suggestion.skip": "🚫 Skip this today",
+  "suggestion.alreadyLocked": "Already locked in: {food}",
+  "suggestion.expired":
+    "This suggestion has expired. Use /food to get a new one.",
+  "suggestion.accepted": "✅ Let's go: {food}",
+  "suggestion.lockedIn": "Locked in!",
+  "suggestion.skipped": "Skipped {food} for today",
+
+  // Inline mode
+  "inline.suggestion": "🍽️ Food suggestion: {food}",
+
+  // Bill splitting
+  "split.usage": "Usage: /split 320000 @a @b:120000 @c*2 10%",
+  "split.missingTotal":
+    "Please provide the bill total, e.g. /split 320000 @a @b @c",
+  "split.unknownToken": 'Could not understand "{token}"',
+  "split.duplicate": "@{username} is listed more than once",
+  "split.invalidAmount": "Invalid amount for @{username}",
+  "split.invalidWeight": "Invalid weight for @{username}",
+  "split.missingParticipants":
+    "Please list who to split with, e.g. /split 320000 @a @b @c",
+  "split.itemizedTooLarge": "Itemized amounts are larger than the bill total",
+  "split.itemizedMismatch": "Itemized amounts do not add up to the bill total",
+  "split.bill": "🧾 Bill: {total}",
+  "split.tip": " + {percent}% ({tip})",
+  "split.totalToCollect": "Total to collect: {total}",
+  "split.rounded": " (rounded from {total})",
+
+  // Voting
+  "vote.alreadyRunning":
+    "A vote is already running in this chat. Use /closevote to end it early.",
+  "vote.notEnoughFoods": "Not enough foods in the list to start a vote.",
+  "vote.usage": "Usage: /vote [n] [duration], e.g. /vote 5 15m (at most 1d)",
+  "vote.question": "🗳️ What should we eat? (closes in {duration})",
+  "vote.noVotes": "🗳️ Vote closed. Nobody voted this time.",
+  "vote.winner": {
+    one: "🏆 The vote is in: {food} ({count} vote)!\n/food will suggest it for the rest of this meal.",
+    other:
+      "🏆 The vote is in: {food} ({count} votes)!\n/food will suggest it for the rest of this meal.",
+  },
+  "vote.notRunning": "There is no vote running in this chat.",
+  "vote.notAllowed":
+    "⛔ Only the person who started the vote or an admin can close it.",
+
+  // /tournament
+  "tournament.usage":
+    "Usage: /tournament [8|16] to start a bracket, /tournament cancel to stop it (admins)",
+  "tournament.alreadyRunning":
+    "A tournament is already running in this chat. Admins can stop it with /tournament cancel.",
+  "tournament.notEnoughFoods":
+    "Not enough foods in the list to start a tournament.",
+  "tournament.notRunning": "There is no tournament running in this chat.",
+  "tournament.title": "🏆 Food tournament: {count} foods",
+  "tournament.round.round": "Round of {count}",
+  "tournament.round.quarterfinal": "Quarter-finals",
+  "tournament.round.semifinal": "Semi-finals",
+  "tournament.round.final": "Final",
+  "tournament.voteHint":
+    "Tap a food to vote for it, each round closes after {time}. Ties are decided by a coin flip 🎲",
+  "tournament.voted": "You voted for {food}",
+  "tournament.expired": "This match is already decided.",
+  "tournament.championTitle": "👑 Champion: {food}",
+  "tournament.champion":
+    "👑 {food} wins the tournament!\n/food will suggest it for the rest of this meal.",
+  "tournament.cancelled": "🚫 The tournament was cancelled.",
+
+  // Group orders
+  "order.usage":
+    "Please specify where to order from, e.g. /order open Bún chả Hàng Mành 11:30\nThe deadline is a time (11:30) or a duration (30m).",
+  "order.none":
+    "There is no open order in this chat. Start one with /order open <place>",
+  "order.alreadyOpen":
+    "An order is already open in this chat. Use /order close to end it.",
+  "order.opened":
+    "🛒 Order from {place} is open!\nAdd your dishes with /me 2 bún chả, thêm trứng or reply to this message. /me again changes your line, /me - removes it.",
+  "order.deadline": "\n⏰ Closes at {time}",
+  "order.current": {
+    one: "🛒 Order from {place} ({count} person)",
+    other: "🛒 Order from {place} ({count} people)",
+  },
+  "order.notAllowed":
+    "⛔ Only the person who opened the order or an admin can close it.",
+  "order.closed": "🧾 Order from {place} closed:",
+  "order.closedEmpty": "🧾 Order from {place} closed. Nobody ordered anything.",
+  "order.perPerson": "💰 Per person:",
+  "order.total": "Total: {total}",
+  "order.unpriced": "* Some dishes have no price and are not counted.",
+  "me.usage":
+    "Please list your dishes, e.g. /me 2 bún chả, thêm trứng; 1 trà đá 5k\nUse /me - to remove your line.",
+  "me.current": "📝 Your order: {items}",
+  "me.saved": "✅ Ordered from {place}: {items}",
+  "me.removed": "🗑️ Your line was removed from the order.",
+
+  // Debts
+  "debts.unknownUser":
+    "I have not seen {user} in a chat yet. Ask them to send a message here first, or reply to one of their messages.",
+  "owe.usage":
+    "Please specify who you owe and how much, e.g. /owe @username 45000 pho",
+  "owe.self": "You cannot owe yourself.",
+  "owe.recorded": "📝 Recorded: {from} owes {to} {amount}",
+  "owe.recordedWithNote": "📝 Recorded: {from} owes {to} {amount} for {note}",
+  "debts.none": "✅ Nobody owes anything in this chat.",
+  "debts.balances": "💰 Balances:",
+  "debts.transfers": "💸 To settle up:",
+  "settle.usage":
+    "Please specify who you paid, e.g. /settle @username [amount]",
+  "settle.invalidAmount":
+    "Please provide a valid amount, e.g. /settle @username 45000",
+  "settle.nothingOwed": "You don't owe {user} anything.",
+  "settle.recorded": "✅ Recorded: {from} paid {to} {amount}",
+  "debthistory.empty": "No debts recorded in this chat yet.",
+  "debthistory.title": "📜 Debt history:",
+  "debthistory.owes": "owes",
+  "debthistory.paid": "paid",
+
+  // Bank accounts and payment QR codes
+  "bank.privateOnly":
+    "🔒 Bank accounts are only managed in a private chat with me, so the details stay out of groups.",
+  "bank.usage":
+    "Please send your bank (BIN or short code such as vcb, tcb, mb), account number and account holder name, e.g. /bank vcb 0123456789 Nguyen Van A\nUse /bank remove to delete it.",
+  "bank.current":
+    "🏦 Your bank account:\nBank BIN: {bin}\nAccount: {accountNumber}\nName: {accountName}",
+  "bank.saved":
+    "✅ Saved. Payment QR codes will go to:\nBank BIN: {bin}\nAccount: {accountNumber}\nName: {accountName}",
+  "bank.removed": "🗑️ Your bank account was removed.",
+  "bank.none": "You have not registered a bank account.",
+  "payme.usage": "Please provide an amount, e.g. /payme 45000 bun cha",
+  "payme.noAccount":
+    "You have not registered a bank account yet. Send me /bank in a private chat first.",
+  "payme.caption": "💳 Scan to pay {user} {amount}",
+  "payme.captionWithNote": "💳 Scan to pay {user} {amount} for {note}",
+  "pay.usage":
+    "Please specify who to pay and how much, e.g. /pay @username 45000 [note], or reply to their message with /pay 45000",
+  "pay.noAccount":
+    "{user} has not registered a bank account. They can send me /bank in a private chat.",
+  "pay.caption": "💳 {from}, scan to pay {to} {amount}",
+  "pay.captionWithNote": "💳 {from}, scan to pay {to} {amount} for {note}",
+
+  // Daily announcements
+  "schedule.announcement": "🔔 Lunch time! Today's suggestion: {food}",
+  "schedule.usage":
+    "Please specify a time and days, e.g. /schedule 11:15 mon-fri [Asia/Ho_Chi_Minh]",
+  "schedule.unknownTimezone": 'Unknown timezone "{timezone}".',
+  "schedule.added":
+    "⏰ Scheduled #{id}: daily suggestion at {time} ({days}, {timezone})",
+  "unschedule.usage":
+    "Please provide a schedule number, e.g. /unschedule 2, or /unschedule all",
+  "unschedule.notFound": "No matching schedule in this chat.",
+  "unschedule.removed": {
+    one: "🗑️ Removed {count} schedule.",
+    other: "🗑️ Removed {count} schedules.",
+  },
+  "schedules.empty":
+    "No schedules in this chat. Add one with /schedule 11:15 mon-fri",
+  "schedules.title": "⏰ Schedules:",
+
+  // Food list management
+  "clearfood.done":
+    "Food suggestion cleared for this chat! Use /food or /newfood to get a new suggestion.",
+  "addfood.usage":
+    "Please specify a food to add, e.g. /addfood Fried Rice #rice #fried or /addfood drinks Iced Tea",
+  "addfood.added": 'Added "{food}" to the {list} list!',
+  "addfood.exists":
+    '"{food}" already exists in the food list or could not be added.',
+  "removefood.usage":
+    "Please specify the food to remove by name or by its number in /foodlist, e.g. /removefood bun bo, /removefood 5 or /removefood drinks 2",
+  "removefood.emptyList": "Food list is empty",
+  "removefood.invalidIndex":
+    "Invalid index. Please use a number between 1 and {max}",
+  "removefood.removed": "Removed '{food}' from the food list",
+  "removefood.removedMany": "Removed {count} items matching '{food}'",
+  "removefood.notFound": "Food '{food}' not found in the list",
+  "removefood.didYouMean":
+    "Food '{food}' not found exactly. Did you mean one of: {matches}",
+  "removefood.andMore": " (and {count} more)",
+  "removefood.error": "Error removing food: {error}",
+  "removefood.choose": "Which food should be removed?",
+  "removefood.cancel": "❌ Cancel",
+  "removefood.cancelled": "❌ Nothing removed.",
+  "removefood.expired": "This choice has expired. Run /removefood again.",
+  "removefood.notAllowed": "⛔ Only the admin who ran /removefood can choose.",
+
+  // Undo and trash
+  "undo.nothing": "There is no food list change to undo in this chat.",
+  "undo.done": "↩️ Undid /{action} by {user}",
+  "undo.restored": "➕ Back in the list: {foods}",
+  "undo.removed": "➖ Taken out of the list: {foods}",
+  "undo.unchanged": "The list had already changed back, nothing to do.",
+  "trash.empty": "No recently removed foods.",
+  "trash.title": "🗑️ Recently removed (put one back with /restorefood n):",
+  "restorefood.usage":
+    "Please specify the number of the food in /trash, e.g. /restorefood 1",
+  "restorefood.invalidIndex":
+    "Invalid number. Please use a number between 1 and {max}",
+  "restorefood.done": '♻️ Restored "{food}" to the food list',
+
+  // Food list export and import
+  "exportfood.usage": "Please choose a format: {formats}, e.g. /exportfood csv",
+  "exportfood.caption": {
+    one: "🍽️ Food list ({count} food)",
+    other: "🍽️ Food list ({count} foods)",
+  },
+  "importfood.usage":
+    "Reply to an uploaded .txt, .csv or .json file with /importfood [merge|replace]",
+  "importfood.tooLarge": "The file is too large, the limit is {max} KB.",
+  "importfood.downloadFailed": "Could not download the file. Please try again.",
+  "importfood.invalidJson":
+    'The JSON file must hold an array of food names or {"name", "tags"} objects.',
+  "importfood.empty": "No foods found in the file.",
+  "importfood.noChanges": "The food list already matches the file.",
+  "importfood.preview":
+    "📥 Import preview ({mode}):\n➕ {added} added\n🔁 {duplicates} duplicates\n➖ {removed} removed",
+  "importfood.addedList": "Added: {foods}",
+  "importfood.removedList": "Removed: {foods}",
+  "importfood.andMore": " (and {count} more)",
+  "importfood.confirm": "✅ Apply",
+  "importfood.cancel": "❌ Cancel",
+  "importfood.expired": "This import has expired. Run /importfood again.",
+  "importfood.notAllowed":
+    "⛔ Only the admin who started the import can apply it.",
+  "importfood.cancelled": "❌ Import cancelled.",
+  "importfood.applied":
+    "📥 Import applied: {added} added, {removed} removed. The list now has {total} foods.",
+
+  // Admins
+  "admins.missingUser": "Please provide a username",
+  "admins.unknownUser":
+    "I have not seen {user} yet. Ask them to send a message in a chat with me, or reply to one of their messages.",
+  "admins.alreadyAdmin": "{user} is already an admin",
+  "admins.added": "👑 Added {user} as admin",
+  "admins.notAdmin": "{user} is not an admin",
+  "admins.removed": "Removed {user} from admins",
+  "addadmin.usage":
+    "Please specify a user, e.g. /addadmin @username, or reply to their message with /addadmin",
+  "removeadmin.usage":
+    "Please specify a user, e.g. /removeadmin @username, or reply to their message with /removeadmin",
+  "listadmins.title": "👑 *Admin List:*",
+  "listadmins.empty": "_No admins configured_",
+
+  // Restrictions
+  "restrict.usage":
+    "Please specify a user, e.g. /restrict @username [2h] [reason], or reply to their message with /restrict [2h] [reason]",
+  "restrict.added": "🚫 Restricted {user}",
+  "restrict.updated": "🚫 Updated the restriction of {user}",
+  "restrict.forDuration": " for {duration}",
+  "restrict.permanent": " permanently",
+  "unrestrict.usage":
+    "Please specify a user, e.g. /unrestrict @username, or reply to their message with /unrestrict",
+  "unrestrict.notRestricted": "{user} is not in the restricted list",
+  "unrestrict.done": "✅ Lifted the restriction of {user}",
+  "listrestricted.title": "🚫 Restricted Users:",
+  "listrestricted.empty": "No restricted users",
+  "listrestricted.left": "{duration} left",
+  "listrestricted.permanent": "permanent",
+  "listrestricted.by": " (by {admin})",
+
+  // Audit log
+  "auditlog.empty": "No matching audit log entries.",
+  "auditlog.title": "📋 Audit log:",
+
+  // Rate limits
+  "ratelimit.user": {
+    one: "⏳ /{command} can be used once per {window}. Try again in {duration}.",
+    other:
+      "⏳ /{command} can be used {count} times per {window}. Try again in {duration}.",
+  },
+  "ratelimit.chat": {
+    one: "⏳ /{command} can be used once per {window} in this chat. Try again in {duration}.",
+    other:
+      "⏳ /{command} can be used {count} times per {window} in this chat. Try again in {duration}.",
+  },
+  "ratelimit.tooFast":
+    "⏳ You are sending commands too fast. Try again in {duration}.",
+  "ratelimit.title": "⏱️ Rate limits (admins are exempt):",
+  "ratelimit.per.user": "{command}: {count} per {window} per user",
+  "ratelimit.per.chat": "{command}: {count} per {window} per chat",
+  "ratelimit.all": "all commands",
+  "ratelimit.none": "No rate limits.",
+  "ratelimit.usage":
+    "Usage: /ratelimit newfood chat 3/1h, /ratelimit foodlist user off, or /ratelimit * user 20/1m",
+  "ratelimit.updated": "⏱️ Rate limits updated.",
+};
@@ -0,0 +1,370 @@
+// Vietnamese message catalog, same keys as en.js
+// Vietnamese has no plural forms, so counted messages are plain strings
+export default {
+  "language.name": "Tiếng Việt",
+
+  // Command descriptions for /help and the Telegram command menu
+  "commands.food": "Gợi ý một món ăn ngẫu nhiên",
+  "commands.tags": "Xem tất cả tag món ăn",
+  "commands.history": "Xem các gợi ý gần đây trong nhóm",
+  "commands.newfood": "Bắt buộc gợi ý món mới",
+  "commands.foodlist": "Xem toàn bộ danh sách món",
+  "commands.findfood": "Tìm món theo tên",
+  "commands.lists": "Xem các danh sách món",
+  "commands.uselist": "Đổi danh sách món của nhóm chat",
+  "commands.exportfood": "Tải danh sách món về dạng file",
+  "commands.vote": "Tạo bình chọn giữa n món ngẫu nhiên",
+  "commands.closevote": "Đóng bình chọn đang diễn ra",
+  "commands.tournament": "Chọn món bằng giải đấu loại trực tiếp",
+  "commands.order": "Mở, xem hoặc chốt đơn đặt món chung",
+  "commands.me": "Thêm hoặc sửa món của bạn trong đơn chung",
+  "commands.owe": "Ghi nhận bạn nợ ai đó",
+  "commands.debts": "Xem ai nợ ai",
+  "commands.settle": "Ghi nhận bạn đã trả nợ",
+  "commands.debthistory": "Xem các khoản nợ gần đây",
+  "commands.bank": "Đăng ký tài khoản ngân hàng để tạo mã QR thanh toán",
+  "commands.payme": "Tạo mã QR để người khác chuyển tiền cho bạn",
+  "commands.pay": "Tạo mã QR để chuyển tiền cho ai đó",
+  "commands.split": "Chia hóa đơn",
+  "commands.lang": "Đổi ngôn ngữ của nhóm chat",
+  "commands.start": "Bắt đầu sử dụng bot",
+  "commands.help": "Xem tất cả lệnh",
+  "commands.clearfood": "Xóa gợi ý món hiện tại",
+  "commands.addfood": "Thêm món vào danh sách",
+  "commands.removefood": "Xóa món khỏi danh sách",
+  "commands.newlist": "Tạo danh sách món mới",
+  "commands.undo": "Hoàn tác thay đổi danh sách món gần nhất trong nhóm",
+  "commands.trash": "Xem các món vừa bị xóa",
+  "commands.restorefood": "Khôi phục món đã xóa",
+  "commands.importfood": "Nhập món từ file đã gửi",
+  "commands.addadmin": "Thêm admin",
+  "commands.removeadmin": "Xóa admin",
+  "commands.listadmins": "Xem danh sách admin",
+  "commands.restrict": "Hạn chế người dùng",
+  "commands.unrestrict": "Bỏ hạn chế người dùng",
+  "commands.listrestricted": "Xem danh sách người bị hạn chế",
+  "commands.auditlog": "Xem lịch sử thay đổi của admin",
+  "commands.ratelimit": "Xem hoặc đổi giới hạn tần suất lệnh",
+  "commands.schedule": "Tự động gợi ý món mỗi ngày",
+  "commands.unschedule": "Xóa lịch gợi ý hằng ngày",
+  "commands.schedules": "Xem lịch gợi ý của nhóm",
+
+  // /start and /help
+  "help.welcome": "Chào {name}! Mình là bot gợi ý món ăn.",
+  "help.commands": "*Các lệnh:*",
+  "help.adminCommands": "👑 *Lệnh admin:*",
+  "help.title": "📖 *Danh sách lệnh:*",
+  "help.foodCommands": "*Lệnh món ăn:*",
+
+  // Permissions
+  "permission.restricted": "Bạn cần nạp VIP để thực hiện lệnh này",
+  "permission.remaining": "⏳ Còn lại: {duration}",
+  "permission.reason": "📝 Lý do: {reason}",
+  "permission.adminOnly":
+    "⛔ Bạn không có quyền thực hiện lệnh này. Chỉ admin mới được phép.",
+
+  // /lang
+  "lang.current":
+    "🌐 Ngôn ngữ của nhóm: {language}\nHỗ trợ: {languages}\nĐổi bằng /lang {example}",
+  "lang.unsupported": 'Không hỗ trợ ngôn ngữ "{language}". Hỗ trợ: {languages}',
+  "lang.changed": "🌐 Nhóm chat này giờ dùng tiếng Việt.",
+
+  // Food suggestions
+  "food.suggestion": "🍽️ Gợi ý món ngẫu nhiên: {food}",
+  "food.newSuggestion": "🍽️ Gợi ý món mới: {food}",
+  "food.noFoods": "Chưa có món nào. Hãy thêm danh sách món trước.",
+  "food.noMatch":
+    'Không có món nào khớp "{filter}". Dùng /tags để xem các tag.',
+  "food.noSlotMatch":
+    "Không có món nào cho bữa {slot}. Gắn tag #{slot} cho món, hoặc để món không có tag bữa để gợi ý cả ngày.",
+  "foodlist.title": "🍽️ Danh sách món ({list}):",
+  "foodlist.part": "🍽️ Danh sách món ({list}, Phần {part}/{total}):",
+  "foodlist.empty": "Danh sách chưa có món nào.",
+
+  // Food lists
+  "lists.title": "📚 Các danh sách món:",
+  "lists.item": "• {list} ({count} món)",
+  "lists.active": "✅",
+  "lists.hint":
+    "Đổi bằng /uselist <tên> hoặc chọn cho một lần gợi ý với /food <tên>",
+  "uselist.usage": "Cách dùng: /uselist <tên>\nHiện có: {lists}",
+  "uselist.notFound": 'Không có danh sách "{list}". Hiện có: {lists}',
+  "uselist.done": "📚 Nhóm chat này giờ dùng danh sách {list}.",
+  "newlist.usage": "Cách dùng: /newlist <tên>, ví dụ /newlist drinks",
+  "newlist.invalid":
+    "Tên danh sách bắt đầu bằng chữ a-z và chỉ gồm chữ, số, - và _ (tối đa 32 ký tự).",
+  "newlist.exists": 'Danh sách "{list}" đã tồn tại.',
+  "newlist.slotName":
+    '"{list}" là tên một bữa ăn, hãy chọn tên danh sách khác.',
+  "newlist.done":
+    '📚 Đã tạo danh sách "{list}". Thêm món bằng /addfood {list} <món>',
+  "tags.empty":
+    "Danh sách món chưa có tag nào. Thêm bằng /addfood Phở #noodle #soup",
+  "tags.title": "🏷️ Tag:",
+  "history.empty": "Nhóm này chưa có gợi ý nào.",
+  "history.title": "📅 Gợi ý gần đây:",
+  "findfood.usage": "Vui lòng nhập món cần tìm, ví dụ /findfood bun bo",
+  "findfood.none": 'Không có món nào khớp "{query}".',
+  "findfood.title": '🔎 Các món khớp "{query}":',
+
+  // Suggestion buttons
+  "suggestion.reroll": "🔁 Đổi món",
+  "suggestion.accept": "✅ Chốt",
+  "suggestion.skip": "🚫 Hôm nay bỏ qua",
+  "suggestion.alreadyLocked": "Đã chốt: {food}",
+  "suggestion.expired": "Gợi ý này đã hết hạn. Dùng /food để lấy gợi ý mới.",
+  "suggestion.accepted": "✅ Chốt: {food}",
+  "suggestion.lockedIn": "Đã chốt!",
+  "suggestion.skipped": "Hôm nay bỏ qua {food}",
+
+  // Inline mode
+  "inline.suggestion": "🍽️ Gợi ý món: {food}",
+
+  // Bill splitting
+  "split.usage": "Cách dùng: /split 320000 @a @b:120000 @c*2 10%",
+  "split.missingTotal":
+    "Vui lòng nhập tổng hóa đơn, ví dụ /split 320000 @a @b @c",
+  "split.unknownToken": 'Không hiểu "{token}"',
+  "split.duplicate": "@{username} bị liệt kê nhiều lần",
+  "split.invalidAmount": "Số tiền của @{username} không hợp lệ",
+  "split.invalidWeight": "Hệ số của @{username} không hợp lệ",
+  "split.missingParticipants":
+    "Vui lòng liệt kê người cùng chia, ví dụ /split 320000 @a @b @c",
+  "split.itemizedTooLarge": "Các khoản riêng lớn hơn tổng hóa đơn",
+  "split.itemizedMismatch": "Các khoản riêng không khớp tổng hóa đơn",
+  "split.bill": "🧾 Hóa đơn: {total}",
+  "split.tip": " + {percent}% ({tip})",
+  "split.totalToCollect": "Tổng cần thu: {total}",
+  "split.rounded": " (làm tròn từ {total})",
+
+  // Voting
+  "vote.alreadyRunning":
+    "Nhóm đang có bình chọn. Dùng /closevote để kết thúc sớm.",
+  "vote.notEnoughFoods": "Danh sách không đủ món để bình chọn.",
+  "vote.usage":
+    "Cách dùng: /vote [n] [thời gian], ví dụ /vote 5 15m (tối đa 1d)",
+  "vote.question": "🗳️ Ăn gì đây? (đóng sau {duration})",
+  "vote.noVotes": "🗳️ Đã đóng bình chọn. Không ai bình chọn lần này.",
+  "vote.winner":
+    "🏆 Kết quả: {food} ({count} phiếu)!\n/food sẽ gợi ý món này đến hết bữa.",
+  "vote.notRunning": "Nhóm không có bình chọn nào đang diễn ra.",
+  "vote.notAllowed": "⛔ Chỉ người tạo bình chọn hoặc admin mới được đóng.",
+
+  // /tournament
+  "tournament.usage":
+    "Cách dùng: /tournament [8|16] để bắt đầu, /tournament cancel để dừng (admin)",
+  "tournament.alreadyRunning":
+    "Nhóm đang có giải đấu. Admin có thể dừng bằng /tournament cancel.",
+  "tournament.notEnoughFoods": "Danh sách không đủ món để tổ chức giải đấu.",
+  "tournament.notRunning": "Nhóm không có giải đấu nào đang diễn ra.",
+  "tournament.title": "🏆 Giải đấu món ăn: {count} món",
+  "tournament.round.round": "Vòng {count} món",
+  "tournament.round.quarterfinal": "Tứ kết",
+  "tournament.round.semifinal": "Bán kết",
+  "tournament.round.final": "Chung kết",
+  "tournament.voteHint":
+    "Bấm vào món để bình chọn, mỗi vòng kết thúc sau {time}. Hòa thì tung đồng xu 🎲",
+  "tournament.voted": "Bạn đã chọn {food}",
+  "tournament.expired": "Trận này đã có kết quả.",
+  "tournament.championTitle": "👑 Vô địch: {food}",
+  "tournament.champion":
+    "👑 {food} vô địch giải đấu!\n/food sẽ gợi ý món này đến hết bữa.",
+  "tournament.cancelled": "🚫 Giải đấu đã bị hủy.",
+
+  // Đặt món chung
+  "order.usage":
+    "Vui lòng nhập nơi đặt món, ví dụ: /order open Bún chả Hàng Mành 11:30\nHạn chót là giờ (11:30) hoặc khoảng thời gian (30m).",
+  "order.none":
+    "Nhóm chưa có đơn nào đang mở. Mở đơn bằng /order open <nơi đặt>",
+  "order.alreadyOpen":
+    "Nhóm đang có một đơn mở. Dùng /order close để chốt đơn.",
+  "order.opened":
+    "🛒 Đã mở đơn đặt món ở {place}!\nThêm món bằng /me 2 bún chả, thêm trứng hoặc trả lời tin nhắn này. Gửi /me lần nữa để sửa, /me - để bỏ.",
+  "order.deadline": "\n⏰ Chốt lúc {time}",
+  "order.current": "🛒 Đơn ở {place} ({count} người)",
+  "order.notAllowed": "⛔ Chỉ người mở đơn hoặc admin mới có thể chốt đơn.",
+  "order.closed": "🧾 Đã chốt đơn ở {place}:",
+  "order.closedEmpty": "🧾 Đã chốt đơn ở {place}. Không ai đặt món nào.",
+  "order.perPerson": "💰 Mỗi người:",
+  "order.total": "Tổng cộng: {total}",
+  "order.unpriced": "* Một số món chưa có giá nên không được tính.",
+  "me.usage":
+    "Vui lòng nhập món của bạn, ví dụ: /me 2 bún chả, thêm trứng; 1 trà đá 5k\nDùng /me - để bỏ món của bạn.",
+  "me.current": "📝 Món của bạn: {items}",
+  "me.saved": "✅ Đã đặt ở {place}: {items}",
+  "me.removed": "🗑️ Đã bỏ món của bạn khỏi đơn.",
+
+  // Debts
+  "debts.unknownUser":
+    "Mình chưa thấy {user} trong nhóm nào. Hãy nhờ họ nhắn một tin ở đây trước, hoặc trả lời một tin nhắn của họ.",
+  "owe.usage":
+    "Vui lòng nhập bạn nợ ai và bao nhiêu, ví dụ /owe @username 45000 phở",
+  "owe.self": "Bạn không thể tự nợ chính mình.",
+  "owe.recorded": "📝 Đã ghi: {from} nợ {to} {amount}",
+  "owe.recordedWithNote": "📝 Đã ghi: {from} nợ {to} {amount} tiền {note}",
+  "debts.none": "✅ Trong nhóm không ai nợ ai.",
+  "debts.balances": "💰 Số dư:",
+  "debts.transfers": "💸 Cần thanh toán:",
+  "settle.usage":
+    "Vui lòng nhập bạn đã trả ai, ví dụ /settle @username [số tiền]",
+  "settle.invalidAmount":
+    "Vui lòng nhập số tiền hợp lệ, ví dụ /settle @username 45000",
+  "settle.nothingOwed": "Bạn không nợ {user} khoản nào.",
+  "settle.recorded": "✅ Đã ghi: {from} đã trả {to} {amount}",
+  "debthistory.empty": "Nhóm chưa ghi khoản nợ nào.",
+  "debthistory.title": "📜 Lịch sử nợ:",
+  "debthistory.owes": "nợ",
+  "debthistory.paid": "đã trả",
+
+  // Tài khoản ngân hàng và mã QR thanh toán
+  "bank.privateOnly":
+    "🔒 Tài khoản ngân hàng chỉ được quản lý trong tin nhắn riêng với mình, để thông tin không lộ ra nhóm.",
+  "bank.usage":
+    "Vui lòng gửi ngân hàng (BIN hoặc mã như vcb, tcb, mb), số tài khoản và tên chủ tài khoản, ví dụ: /bank vcb 0123456789 Nguyen Van A\nDùng /bank remove để xóa.",
+  "bank.current":
+    "🏦 Tài khoản của bạn:\nBIN ngân hàng: {bin}\nSố tài khoản: {accountNumber}\nTên: {accountName}",
+  "bank.saved":
+    "✅ Đã lưu. Mã QR thanh toán sẽ chuyển tới:\nBIN ngân hàng: {bin}\nSố tài khoản: {accountNumber}\nTên: {accountName}",
+  "bank.removed": "🗑️ Đã xóa tài khoản ngân hàng của bạn.",
+  "bank.none": "Bạn chưa đăng ký tài khoản ngân hàng.",
+  "payme.usage": "Vui lòng nhập số tiền, ví dụ: /payme 45000 bun cha",
+  "payme.noAccount":
+    "Bạn chưa đăng ký tài khoản ngân hàng. Hãy nhắn riêng /bank cho mình trước.",
+  "payme.caption": "💳 Quét để chuyển {amount} cho {user}",
+  "payme.captionWithNote": "💳 Quét để chuyển {amount} cho {user} ({note})",
+  "pay.usage":
+    "Vui lòng nhập người nhận và số tiền, ví dụ: /pay @username 45000 [ghi chú], hoặc trả lời tin nhắn của họ bằng /pay 45000",
+  "pay.noAccount":
+    "{user} chưa đăng ký tài khoản ngân hàng. Họ có thể nhắn riêng /bank cho mình.",
+  "pay.caption": "💳 {from}, quét để chuyển {amount} cho {to}",
+  "pay.captionWithNote": "💳 {from}, quét để chuyển {amount} cho {to} ({note})",
+
+  // Daily announcements
+  "schedule.announcement": "🔔 Đến giờ ăn trưa! Gợi ý hôm nay: {food}",
+  "schedule.usage":
+    "Vui lòng nhập giờ và ngày, ví dụ /schedule 11:15 mon-fri [Asia/Ho_Chi_Minh]",
+  "schedule.unknownTimezone": 'Không biết múi giờ "{timezone}".',
+  "schedule.added":
+    "⏰ Đã lên lịch #{id}: gợi ý hằng ngày lúc {time} ({days}, {timezone})",
+  "unschedule.usage":
+    "Vui lòng nhập số thứ tự lịch, ví dụ /unschedule 2, hoặc /unschedule all",
+  "unschedule.notFound": "Không có lịch nào khớp trong nhóm.",
+  "unschedule.removed": "🗑️ Đã xóa {count} lịch.",
+  "schedules.empty": "Nhóm chưa có lịch nào. Thêm bằng /schedule 11:15 mon-fri",
+  "schedules.title": "⏰ Lịch gợi ý:",
+
+  // Food list management
+  "clearfood.done":
+    "Đã xóa gợi ý của nhóm! Dùng /food hoặc /newfood để lấy gợi ý mới.",
+  "addfood.usage":
+    "Vui lòng nhập món cần thêm, ví dụ /addfood Cơm chiên #rice #fried hoặc /addfood drinks Trà đá",
+  "addfood.added": 'Đã thêm "{food}" vào danh sách {list}!',
+  "addfood.exists": '"{food}" đã có trong danh sách hoặc không thể thêm.',
+  "removefood.usage":
+    "Vui lòng nhập tên món hoặc số thứ tự trong /foodlist, ví dụ /removefood bun bo, /removefood 5 hoặc /removefood drinks 2",
+  "removefood.emptyList": "Danh sách món đang trống",
+  "removefood.invalidIndex":
+    "Số thứ tự không hợp lệ. Hãy nhập số từ 1 đến {max}",
+  "removefood.removed": "Đã xóa '{food}' khỏi danh sách món",
+  "removefood.removedMany": "Đã xóa {count} món khớp '{food}'",
+  "removefood.notFound": "Không tìm thấy món '{food}' trong danh sách",
+  "removefood.didYouMean":
+    "Không tìm thấy chính xác món '{food}'. Có phải bạn muốn: {matches}",
+  "removefood.andMore": " (và {count} món khác)",
+  "removefood.error": "Lỗi khi xóa món: {error}",
+  "removefood.choose": "Bạn muốn xóa món nào?",
+  "removefood.cancel": "❌ Hủy",
+  "removefood.cancelled": "❌ Không xóa món nào.",
+  "removefood.expired": "Lựa chọn này đã hết hạn. Hãy chạy lại /removefood.",
+  "removefood.notAllowed": "⛔ Chỉ admin đã chạy /removefood mới được chọn.",
+
+  // Undo and trash
+  "undo.nothing": "Nhóm chưa có thay đổi danh sách món nào để hoàn tác.",
+  "undo.done": "↩️ Đã hoàn tác /{action} của {user}",
+  "undo.restored": "➕ Đã đưa lại vào danh sách: {foods}",
+  "undo.removed": "➖ Đã bỏ khỏi danh sách: {foods}",
+  "undo.unchanged": "Danh sách đã được đổi lại từ trước, không cần làm gì.",
+  "trash.empty": "Không có món nào bị xóa gần đây.",
+  "trash.title": "🗑️ Món vừa bị xóa (khôi phục bằng /restorefood n):",
+  "restorefood.usage":
+    "Vui lòng nhập số thứ tự món trong /trash, ví dụ /restorefood 1",
+  "restorefood.invalidIndex":
+    "Số thứ tự không hợp lệ. Hãy nhập số từ 1 đến {max}",
+  "restorefood.done": '♻️ Đã khôi phục "{food}" vào danh sách món',
+
+  // Food list export and import
+  "exportfood.usage":
+    "Vui lòng chọn định dạng: {formats}, ví dụ /exportfood csv",
+  "exportfood.caption": "🍽️ Danh sách món ({count} món)",
+  "importfood.usage":
+    "Trả lời một file .txt, .csv hoặc .json đã gửi bằng /importfood [merge|replace]",
+  "importfood.tooLarge": "File quá lớn, giới hạn là {max} KB.",
+  "importfood.downloadFailed": "Không tải được file. Vui lòng thử lại.",
+  "importfood.invalidJson":
+    'File JSON phải chứa một mảng tên món hoặc các đối tượng {"name", "tags"}.',
+  "importfood.empty": "Không tìm thấy món nào trong file.",
+  "importfood.noChanges": "Danh sách món đã giống với file.",
+  "importfood.preview":
+    "📥 Xem trước ({mode}):\n➕ Thêm {added} món\n🔁 Trùng {duplicates} món\n➖ Xóa {removed} món",
+  "importfood.addedList": "Thêm: {foods}",
+  "importfood.removedList": "Xóa: {foods}",
+  "importfood.andMore": " (và {count} món khác)",
+  "importfood.confirm": "✅ Áp dụng",
+  "importfood.cancel": "❌ Hủy",
+  "importfood.expired": "Lần nhập này đã hết hạn. Hãy chạy lại /importfood.",
+  "importfood.notAllowed": "⛔ Chỉ admin bắt đầu lần nhập mới được áp dụng.",
+  "importfood.cancelled": "❌ Đã hủy nhập món.",
+  "importfood.applied":
+    "📥 Đã nhập: thêm {added} món, xóa {removed} món. Danh sách hiện có {total} món.",
+
+  // Admins
+  "admins.missingUser": "Vui lòng nhập username",
+  "admins.unknownUser":
+    "Mình chưa thấy {user} bao giờ. Hãy nhờ họ nhắn một tin trong nhóm có bot, hoặc trả lời một tin nhắn của họ.",
+  "admins.alreadyAdmin": "{user} đã là admin",
+  "admins.added": "👑 Đã thêm {user} làm admin",
+  "admins.notAdmin": "{user} không phải admin",
+  "admins.removed": "Đã xóa {user} khỏi danh sách admin",
+  "addadmin.usage":
+    "Vui lòng chọn người dùng, ví dụ /addadmin @username, hoặc trả lời tin nhắn của họ bằng /addadmin",
+  "removeadmin.usage":
+    "Vui lòng chọn người dùng, ví dụ /removeadmin @username, hoặc trả lời tin nhắn của họ bằng /removeadmin",
+  "listadmins.title": "👑 *Danh sách admin:*",
+  "listadmins.empty": "_Chưa có admin nào_",
+
+  // Restrictions
+  "restrict.usage":
+    "Vui lòng chọn người dùng, ví dụ /restrict @username [2h] [lý do], hoặc trả lời tin nhắn của họ bằng /restrict [2h] [lý do]",
+  "restrict.added": "🚫 Đã hạn chế {user}",
+  "restrict.updated": "🚫 Đã cập nhật hạn chế {user}",
+  "restrict.forDuration": " trong {duration}",
+  "restrict.permanent": " vĩnh viễn",
+  "unrestrict.usage":
+    "Vui lòng chọn người dùng, ví dụ /unrestrict @username, hoặc trả lời tin nhắn của họ bằng /unrestrict",
+  "unrestrict.notRestricted": "{user} không nằm trong danh sách hạn chế",
+  "unrestrict.done": "✅ Đã bỏ hạn chế {user}",
+  "listrestricted.title": "🚫 Người bị hạn chế:",
+  "listrestricted.empty": "Không có ai bị hạn chế",
+  "listrestricted.left": "còn {duration}",
+  "listrestricted.permanent": "vĩnh viễn",
+  "listrestricted.by": " (bởi {admin})",
+
+  // Audit log
+  "auditlog.empty": "Không có mục nào khớp trong lịch sử thay đổi.",
+  "auditlog.title": "📋 Lịch sử thay đổi:",
+
+  // Rate limits
+  "ratelimit.user":
+    "⏳ /{command} chỉ được dùng {count} lần mỗi {window}. Thử lại sau {duration}.",
+  "ratelimit.chat":
+    "⏳ /{command} chỉ được dùng {count} lần mỗi {window} trong nhóm. Thử lại sau {duration}.",
+  "ratelimit.tooFast": "⏳ Bạn gửi lệnh quá nhanh. Thử lại sau {duration}.",
+  "ratelimit.title": "⏱️ Giới hạn tần suất (admin không bị giới hạn):",
+  "ratelimit.per.user": "{command}: {count} lần mỗi {window} cho mỗi người",
+  "ratelimit.per.chat": "{command}: {count} lần mỗi {window} cho mỗi nhóm",
+  "ratelimit.all": "tất cả lệnh",
+  "ratelimit.none": "Không có giới hạn nào.",
+  "ratelimit.usage":
+    "Cách dùng: /ratelimit newfood chat 3/1h, /ratelimit foodlist user off, hoặc /ratelimit * user 20/1m",
+  "ratelimit.updated": "⏱️ Đã cập nhật giới hạn tần suất.",
+};
@@ -0,0 +1,111 @@
+import { MEAL_SLOTS, TIMEZONE } from "./config.js";
+import { parseTime, getLocalTime } from "./schedules.js";
+
+/**
+ * Parse the MEAL_SLOTS setting
+ * Slots with an invalid start time are left out
+ * @returns {{name: string, start: string}[]} Slots sorted by start time "HH:MM"
+ */
+function loadMealSlots() {
+  return MEAL_SLOTS.split(",")
+    .map((pair) => {
+      const [name, time] = pair.trim().split("=");
+      return { name, start: parseTime(time) };
+    })
+    .filter((slot) => slot.start)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Get the names of all meal slots in the order of the day
+ * @returns {string[]} Slot names
+ */
+export function getMealSlotNames() {
+  return loadMealSlots().map((slot) => slot.name);
+}
+
+/**
+ * Check a meal slot name
+ * @param {string} text - Slot name as typed
+ * @returns {string|null} Slot name in lowercase or null if it is no slot
+ */
+export function normalizeMealSlot(text) {
+  const name = (text || "").trim().toLowerCase();
+  return getMealSlotNames().includes(name) ? name : null;
+}
+
+/**
+ * Get the meal slot of an instant
+ * Before the first slot of the day starts, the last one of the day before is
+ * still running (e.g. late-night at 2am)
+ * @param {Date} now - Instant
+ * @param {string} timezone - IANA timezone the slot times are in
+ * @returns {string|null} Slot name or null if no slot is configured
+ */
+export function getCurrentMealSlot(now = new Date(), timezone = TIMEZONE) {
+  const slots = loadMealSlots();
+  if (slots.length === 0) return null;
+
+  const { time } = getLocalTime(now, timezone);
+  const started = slots.filter((slot) => slot.start <= time);
+  return (started.length > 0 ? started : slots).at(-1).name;
+}
+
+/**
+ * Split an optional leading meal slot off command arguments
+ * e.g. "breakfast noodle" suggests a breakfast food tagged #noodle
+ * @param {string} args - Command arguments
+ * @param {Date} now - Instant used when no slot is given
+ * @returns {{slot: string|null, rest: string}} Given or current slot and the remaining arguments
+ */
+export function splitMealSlotArg(args, now = new Date()) {
+  const text = (args || "").trim();
+  const [first = "", ...rest] = text.split(/\s+/);
+  const slot = normalizeMealSlot(first);
+
+  if (slot) {
+    return { slot, rest: rest.join(" ") };
+  }
+  return { slot: getCurrentMealSlot(now), rest: text };
+}
+
+/**
+ * Keep the foods that may be suggested in a meal slot
+ * Foods tagged with one or more slot names only fit those slots, foods
+ * without a slot tag fit every slot
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @param {string|null} slot - Slot name, null keeps every food
+ * @returns {{name: string, tags: string[]}[]} Matching entries
+ */
+export function filterFoodsByMealSlot(entries, slot) {
+  if (!slot) return entries;
+
+  const names = getMealSlotNames();
+  return entries.filter(
+    (entry) =>
+      entry.tags.includes(slot) ||
+      !entry.tags.some((tag) => names.includes(tag)),
+  );
+}
+
+/**
+ * Get the suggestion cache key of a meal slot, e.g. "-100123@lunch"
+ * Every slot keeps its own suggestion, lock and skipped foods
+ * @param {number|string} cacheKey - Cache key of the chat and list
+ * @param {string|null} slot - Slot name
+ * @returns {string} Cache key of the slot
+ */
+export function getSlotCacheKey(cacheKey, slot) {
+  return slot ? `${cacheKey}@${slot}` : String(cacheKey);
+}
+
+/**
+ * Split a slot cache key back into the cache key and the slot
+ * The history and cooldown of a chat are shared by all its slots
+ * @param {number|string} slotCacheKey - Cache key, with or without a slot
+ * @returns {{key: string, slot: string|null}} Cache key without the slot and the slot
+ */
+export function splitSlotCacheKey(slotCacheKey) {
+  const [key, slot = null] = String(slotCacheKey).split("@");
+  return { key, slot };
+}
@@ -0,0 +1,312 @@
+import {
+  logger,
+  isAdmin,
+  formatAmount,
+  checkCommandRestriction,
+} from "./utils.js";
+import { getLocalTime } from "./schedules.js";
+import { getChatTranslator } from "./i18n.js";
+import {
+  loadOrders,
+  getOrder,
+  parseDeadline,
+  parseOrderLine,
+  openOrder,
+  setOrderMessage,
+  setOrderLine,
+  closeOrder,
+  summarizeOrder,
+} from "./orders.js";
+
+// Deadline timers of open orders keyed by chat ID
+const deadlineTimers = new Map();
+
+/**
+ * Format the items of an order line, e.g. "2× bún chả (thêm trứng)"
+ * @param {Object[]} items - Parsed items
+ * @returns {string} Items joined by ";"
+ */
+function formatItems(items) {
+  return items
+    .map((item) => {
+      const note = item.note ? ` (${item.note})` : "";
+      const price = item.price ? ` ${formatAmount(item.price)}` : "";
+      return `${item.quantity}× ${item.dish}${note}${price}`;
+    })
+    .join("; ");
+}
+
+/**
+ * Format the deadline of an order as a time of day in TIMEZONE
+ * @param {Object} order - Order
+ * @param {Function} t - Translate function
+ * @returns {string} Deadline text, empty without deadline
+ */
+function formatDeadline(order, t) {
+  if (!order.deadline) return "";
+  return t("order.deadline", {
+    time: getLocalTime(new Date(order.deadline)).time,
+  });
+}
+
+/**
+ * Format an open order for /order
+ * @param {Object} order - Order
+ * @param {Function} t - Translate function
+ * @returns {string} Order with one line per person
+ */
+function formatOrder(order, t) {
+  const header = t("order.current", {
+    place: order.place,
+    count: order.lines.length,
+  });
+  const lines = order.lines.map(
+    (line) => `${line.name}: ${formatItems(line.items)}`,
+  );
+
+  return [header + formatDeadline(order, t), ...lines].join("\n");
+}
+
+/**
+ * Format the summary of a closed order, grouped by dish, with per-person
+ * totals if prices were given
+ * @param {Object} order - Closed order
+ * @param {Function} t - Translate function
+ * @returns {string} Summary text
+ */
+function formatOrderSummary(order, t) {
+  if (order.lines.length === 0) {
+    return t("order.closedEmpty", { place: order.place });
+  }
+
+  const summary = summarizeOrder(order);
+  const parts = [t("order.closed", { place: order.place })];
+
+  parts.push(
+    summary.dishes
+      .map((dish) => {
+        const people = dish.orders
+          .map((entry) => {
+            const details = [
+              entry.quantity > 1 ? String(entry.quantity) : "",
+              entry.note,
+            ].filter(Boolean);
+            return details.length > 0
+              ? `${entry.name} (${details.join(", ")})`
+              : entry.name;
+          })
+          .join(", ");
+        return `${dish.quantity}× ${dish.dish}: ${people}`;
+      })
+      .join("\n"),
+  );
+
+  if (summary.total > 0) {
+    // "*" marks people with dishes that have no price
+    const people = summary.people.map((person) => {
+      const amount =
+        person.total > 0 || !person.unpriced ? formatAmount(person.total) : "?";
+      return `${person.name}: ${amount}${person.unpriced ? " *" : ""}`;
+    });
+    parts.push([t("order.perPerson"), ...people].join("\n"));
+    parts.push(t("order.total", { total: formatAmount(summary.total) }));
+    if (summary.unpriced) parts.push(t("order.unpriced"));
+  }
+
+  return parts.join("\n\n");
+}
+
+/**
+ * Close the order of a chat and post its summary
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number|string} chatId - Chat ID
+ * @returns {Promise<boolean>} False if no order was open
+ */
+async function closeAndSummarize(bot, chatId) {
+  clearTimeout(deadlineTimers.get(String(chatId)));
+  deadlineTimers.delete(String(chatId));
+
+  const order = closeOrder(chatId);
+  if (!order) return false;
+
+  const t = getChatTranslator(chatId);
+  await bot.sendMessage(chatId, formatOrderSummary(order, t), {
+    ...(order.messageId && { reply_to_message_id: order.messageId }),
+  });
+  return true;
+}
+
+/**
+ * Close an order automatically at its deadline
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} order - Open order
+ */
+function scheduleDeadline(bot, order) {
+  if (!order.deadline) return;
+
+  const delay = Math.max(0, new Date(order.deadline).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    deadlineTimers.delete(String(order.chatId));
+    closeAndSummarize(bot, order.chatId).catch((error) =>
+      logger.error(`Error closing order: ${error.message}`),
+    );
+  }, delay);
+
+  deadlineTimers.set(String(order.chatId), timer);
+}
+
+/**
+ * Set the order line of the sender of a message and confirm it
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message
+ * @param {string} text - Order line, "-" to remove it
+ * @param {Function} t - Translate function
+ */
+async function updateOrderLine(bot, msg, text, t) {
+  const chatId = msg.chat.id;
+  const items = text === "-" ? [] : parseOrderLine(text);
+
+  if (text !== "-" && items.length === 0) {
+    await bot.sendMessage(chatId, t("me.usage"));
+    return;
+  }
+
+  const order = setOrderLine(chatId, msg.from, items, text);
+  if (!order) {
+    await bot.sendMessage(chatId, t("order.none"));
+    return;
+  }
+
+  const reply =
+    items.length > 0
+      ? t("me.saved", { items: formatItems(items), place: order.place })
+      : t("me.removed");
+  await bot.sendMessage(chatId, reply, {
+    reply_to_message_id: msg.message_id,
+  });
+}
+
+/**
+ * Register group order commands with the bot
+ * Open orders are kept on disk, so they survive a restart
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerOrderCommands(bot, router) {
+  for (const order of Object.values(loadOrders())) {
+    scheduleDeadline(bot, order);
+  }
+
+  /**
+   * Show, open or close the order of this chat
+   */
+  router.register({
+    name: "order",
+    args: "[open <place> [deadline] | close]",
+    description: "commands.order",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+      const [action = "", ...rest] = args.trim().split(/\s+/);
+
+      if (!action) {
+        const order = getOrder(chatId);
+        await bot.sendMessage(
+          chatId,
+          order ? formatOrder(order, t) : t("order.none"),
+        );
+        return;
+      }
+
+      if (action.toLowerCase() === "close") {
+        const order = getOrder(chatId);
+        if (!order) {
+          await bot.sendMessage(chatId, t("order.none"));
+          return;
+        }
+
+        if (order.openedBy.id !== user.id && !isAdmin(user)) {
+          await bot.sendMessage(chatId, t("order.notAllowed"));
+          return;
+        }
+
+        await closeAndSummarize(bot, chatId);
+        return;
+      }
+
+      if (action.toLowerCase() !== "open" || rest.length === 0) {
+        await bot.sendMessage(chatId, t("order.usage"));
+        return;
+      }
+
+      // The last word is the deadline if it reads as one
+      const deadline =
+        rest.length > 1 ? parseDeadline(rest[rest.length - 1]) : null;
+      const place = (deadline ? rest.slice(0, -1) : rest).join(" ");
+
+      const order = openOrder(chatId, place, deadline, {
+        id: user.id,
+        username: user.username || null,
+      });
+      if (!order) {
+        await bot.sendMessage(chatId, t("order.alreadyOpen"));
+        return;
+      }
+
+      const sent = await bot.sendMessage(
+        chatId,
+        t("order.opened", { place }) + formatDeadline(order, t),
+      );
+      setOrderMessage(chatId, sent.message_id);
+      order.messageId = sent.message_id;
+      scheduleDeadline(bot, order);
+    },
+  });
+
+  /**
+   * Add, change or remove your line in the open order
+   */
+  router.register({
+    name: "me",
+    args: "<dishes> | -",
+    description: "commands.me",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const text = args.trim();
+
+      if (!text) {
+        const order = getOrder(chatId);
+        const line = order?.lines.find((l) => l.userId === msg.from.id);
+        await bot.sendMessage(
+          chatId,
+          line
+            ? t("me.current", { items: formatItems(line.items) })
+            : t("me.usage"),
+        );
+        return;
+      }
+
+      await updateOrderLine(bot, msg, text, t);
+    },
+  });
+
+  // A plain reply to the order announcement counts as /me
+  bot.on("message", async (msg) => {
+    const reply = msg.reply_to_message;
+    if (!reply || !msg.text || msg.text.startsWith("/") || !msg.from) return;
+
+    const order = getOrder(msg.chat.id);
+    if (!order || order.messageId !== reply.message_id) return;
+
+    try {
+      if (await checkCommandRestriction(bot, msg.chat.id, msg.from)) return;
+
+      const t = getChatTranslator(msg.chat.id, msg.from);
+      await updateOrderLine(bot, msg, msg.text.trim(), t);
+    } catch (error) {
+      logger.error(`Error handling order reply: ${error.message}`);
+    }
+  });
+
+  logger.info("Order commands registered");
+}
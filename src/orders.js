@@ -0,0 +1,282 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { ORDERS_DB_PATH } from "./config.js";
+import { logger, parseAmount, parseDuration } from "./utils.js";
+import { parseTime, getLocalTime } from "./schedules.js";
+import { normalizeSearchText } from "./foodSearch.js";
+
+// Amounts below this are read as part of the dish name ("Combo 3"), not a price
+const MIN_PRICE = 1000;
+
+// Orders stay open for at most a day
+const MAX_DEADLINE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the open orders of all chats from JSON file
+ * @param {string} filePath - Path to the orders database file
+ * @returns {Object<string, Object>} Orders keyed by chat ID
+ */
+export function loadOrders(filePath = ORDERS_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading orders: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the open orders of all chats to JSON file
+ * @param {Object} orders - Orders keyed by chat ID
+ * @param {string} filePath - Path to the orders database file
+ */
+export function saveOrders(orders, filePath = ORDERS_DB_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(orders, null, 2), "utf-8");
+}
+
+/**
+ * Get the open order of a chat
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object|null} Order or null if none is open
+ */
+export function getOrder(chatId) {
+  return loadOrders()[String(chatId)] || null;
+}
+
+/**
+ * Parse an order deadline: a time of day ("11:30") or a duration ("30m")
+ * of at most a day
+ * @param {string} text - Deadline text
+ * @param {Date} now - Current time
+ * @returns {string|null} Deadline as ISO string, or null if the text is not a deadline
+ */
+export function parseDeadline(text, now = new Date()) {
+  const duration = parseDuration(text);
+  if (duration) {
+    if (duration > MAX_DEADLINE_MS) return null;
+    return new Date(now.getTime() + duration).toISOString();
+  }
+
+  const time = parseTime(text);
+  if (!time) return null;
+
+  // Next occurrence of the time of day in TIMEZONE
+  const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  let minutes = toMinutes(time) - toMinutes(getLocalTime(now).time);
+  if (minutes <= 0) minutes += 24 * 60;
+
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  return new Date(start.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Take a unit price off the end of a list of words
+ * @param {string[]} words - Words, changed in place
+ * @returns {number|null} Price or null if the last word is not one
+ */
+function popPrice(words) {
+  const amount = words.length > 1 ? parseAmount(words[words.length - 1]) : null;
+  if (!amount || amount < MIN_PRICE) return null;
+
+  words.pop();
+  return amount;
+}
+
+/**
+ * Parse one item of an order line, e.g. "2 bún chả 35k, thêm trứng"
+ * A leading number is the quantity and text after the first comma a note.
+ * A unit price may end the dish or the note.
+ * @param {string} text - Item text
+ * @returns {{quantity: number, dish: string, note: string, price: number|null}|null} Parsed item or null if empty
+ */
+function parseOrderItem(text) {
+  const [dishText, ...noteParts] = text.split(",");
+  const words = dishText.trim().split(/\s+/).filter(Boolean);
+  const noteWords = noteParts.join(",").trim().split(/\s+/).filter(Boolean);
+
+  let quantity = 1;
+  const count = /^(\d+)x?$/i.exec(words[0] || "");
+  if (count && words.length > 1) {
+    quantity = Math.max(1, parseInt(count[1], 10));
+    words.shift();
+  }
+
+  const price = popPrice(words) ?? popPrice(noteWords);
+  if (words.length === 0) return null;
+
+  return {
+    quantity,
+    dish: words.join(" "),
+    note: noteWords.join(" "),
+    price,
+  };
+}
+
+/**
+ * Parse an order line into items; several dishes are separated by ";",
+ * "+" or new lines
+ * @param {string} text - Order line, e.g. "2 bún chả, thêm trứng; 1 trà đá 5k"
+ * @returns {Object[]} Parsed items, empty if nothing was ordered
+ */
+export function parseOrderLine(text) {
+  return (text || "")
+    .split(/[;\n]|\s\+\s/)
+    .map(parseOrderItem)
+    .filter(Boolean);
+}
+
+/**
+ * Open an order in a chat
+ * @param {number|string} chatId - Chat ID
+ * @param {string} place - Where the order goes to
+ * @param {string|null} deadline - ISO deadline or null
+ * @param {{id: number, username: string|null}} openedBy - User opening the order
+ * @returns {Object|null} The new order, or null if one is already open
+ */
+export function openOrder(chatId, place, deadline, openedBy) {
+  const orders = loadOrders();
+  const key = String(chatId);
+  if (orders[key]) return null;
+
+  orders[key] = {
+    chatId,
+    place,
+    deadline,
+    openedBy,
+    openedAt: new Date().toISOString(),
+    messageId: null,
+    lines: [],
+  };
+  saveOrders(orders);
+  logger.info(`Order from '${place}' opened in chat ${chatId}`);
+  return orders[key];
+}
+
+/**
+ * Remember the message announcing an order, so replies to it count as orders
+ * @param {number|string} chatId - Chat ID
+ * @param {number} messageId - Message ID of the announcement
+ */
+export function setOrderMessage(chatId, messageId) {
+  const orders = loadOrders();
+  const order = orders[String(chatId)];
+  if (!order) return;
+
+  order.messageId = messageId;
+  saveOrders(orders);
+}
+
+/**
+ * Set, replace or remove the order line of a user
+ * @param {number|string} chatId - Chat ID
+ * @param {{id: number, username?: string, first_name?: string}} user - Telegram user
+ * @param {Object[]} items - Parsed items, empty to remove the line
+ * @param {string} text - Order line as typed
+ * @returns {Object|null} The updated order, or null if no order is open
+ */
+export function setOrderLine(chatId, user, items, text) {
+  const orders = loadOrders();
+  const order = orders[String(chatId)];
+  if (!order) return null;
+
+  order.lines = order.lines.filter((line) => line.userId !== user.id);
+  if (items.length > 0) {
+    order.lines.push({
+      userId: user.id,
+      name: user.username
+        ? `@${user.username}`
+        : user.first_name || String(user.id),
+      text,
+      items,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  saveOrders(orders);
+  return order;
+}
+
+/**
+ * Close the order of a chat
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object|null} The closed order, or null if none was open
+ */
+export function closeOrder(chatId) {
+  const orders = loadOrders();
+  const key = String(chatId);
+  const order = orders[key];
+  if (!order) return null;
+
+  delete orders[key];
+  saveOrders(orders);
+  logger.info(`Order from '${order.place}' closed in chat ${chatId}`);
+  return order;
+}
+
+/**
+ * Aggregate the lines of an order by dish and by person
+ * Dishes are grouped ignoring case and diacritics. Prices are per unit.
+ * @param {Object} order - Order
+ * @returns {{dishes: Object[], people: Object[], total: number, unpriced: boolean}} Dishes with quantities and who ordered them, per-person totals, grand total and whether some items have no price
+ */
+export function summarizeOrder(order) {
+  const dishes = new Map();
+  const people = [];
+  let total = 0;
+  let unpriced = false;
+
+  for (const line of order.lines) {
+    let personTotal = 0;
+    let personUnpriced = false;
+
+    for (const item of line.items) {
+      const key = normalizeSearchText(item.dish);
+      const dish = dishes.get(key) || {
+        dish: item.dish,
+        quantity: 0,
+        orders: [],
+      };
+      dish.quantity += item.quantity;
+      dish.orders.push({
+        name: line.name,
+        quantity: item.quantity,
+        note: item.note,
+      });
+      dishes.set(key, dish);
+
+      if (item.price === null) {
+        personUnpriced = true;
+      } else {
+        personTotal += item.price * item.quantity;
+      }
+    }
+
+    people.push({
+      name: line.name,
+      total: personTotal,
+      unpriced: personUnpriced,
+    });
+    total += personTotal;
+    unpriced ||= personUnpriced;
+  }
+
+  return {
+    dishes: [...dishes.values()].sort((a, b) => b.quantity - a.quantity),
+    people,
+    total,
+    unpriced,
+  };
+}
@@ -0,0 +1,192 @@
+import {
+  logger,
+  parseAmount,
+  formatAmount,
+  formatUserLabel,
+  resolveTargetAndArgs,
+} from "./utils.js";
+import {
+  parseBankAccount,
+  getBankAccount,
+  setBankAccount,
+  removeBankAccount,
+  buildVietQrPayload,
+} from "./payments.js";
+import { encodeQrCode, renderQrPng } from "./qrCode.js";
+
+/**
+ * Send a VietQR code for a transfer to an account as a photo
+ * The caption never contains the bank details, the QR code alone carries them.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID to send to
+ * @param {Object} account - Bank account of the payee
+ * @param {number} amount - Amount in VND
+ * @param {string} note - Transfer note
+ * @param {string} caption - Photo caption
+ */
+async function sendPaymentQr(bot, chatId, account, amount, note, caption) {
+  const payload = buildVietQrPayload(account, amount, note);
+  const png = renderQrPng(encodeQrCode(payload));
+
+  await bot.sendPhoto(
+    chatId,
+    png,
+    { caption },
+    { filename: "vietqr.png", contentType: "image/png" },
+  );
+}
+
+/**
+ * Register the bank account and payment QR commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerPaymentCommands(bot, router) {
+  /**
+   * Show, register or remove your bank account - private chat only
+   */
+  router.register({
+    name: "bank",
+    args: "[bank account_number name | remove]",
+    description: "commands.bank",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      if (msg.chat.type !== "private") {
+        // Bank details typed in a group should not stay there
+        if (args) {
+          await bot
+            .deleteMessage(chatId, msg.message_id)
+            .catch((error) =>
+              logger.warn(`Could not delete /bank message: ${error.message}`),
+            );
+        }
+        await bot.sendMessage(chatId, t("bank.privateOnly"));
+        return;
+      }
+
+      if (!args) {
+        const account = getBankAccount(user.id);
+        await bot.sendMessage(
+          chatId,
+          account ? t("bank.current", account) : t("bank.usage"),
+        );
+        return;
+      }
+
+      if (args.toLowerCase() === "remove") {
+        await bot.sendMessage(
+          chatId,
+          removeBankAccount(user.id) ? t("bank.removed") : t("bank.none"),
+        );
+        return;
+      }
+
+      const account = parseBankAccount(args);
+      if (!account) {
+        await bot.sendMessage(chatId, t("bank.usage"));
+        return;
+      }
+
+      setBankAccount(user.id, account);
+      await bot.sendMessage(chatId, t("bank.saved", account));
+    },
+  });
+
+  /**
+   * Send a QR code to pay the sender
+   */
+  router.register({
+    name: "payme",
+    args: "<amount> [note]",
+    description: "commands.payme",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+      const [amountStr, ...noteParts] = args.split(/\s+/);
+      const amount = parseAmount(amountStr);
+
+      if (!amount) {
+        await bot.sendMessage(chatId, t("payme.usage"));
+        return;
+      }
+
+      const account = getBankAccount(user.id);
+      if (!account) {
+        await bot.sendMessage(chatId, t("payme.noAccount"));
+        return;
+      }
+
+      const note = noteParts.join(" ");
+      await sendPaymentQr(
+        bot,
+        chatId,
+        account,
+        amount,
+        note,
+        t(note ? "payme.captionWithNote" : "payme.caption", {
+          user: formatUserLabel(user),
+          amount: formatAmount(amount),
+          note,
+        }),
+      );
+    },
+  });
+
+  /**
+   * Send a QR code to pay another user, by @username or by reply
+   */
+  router.register({
+    name: "pay",
+    args: "@username <amount> [note]",
+    description: "commands.pay",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      // A leading amount with a reply is not a numeric user ID
+      const replied = msg.reply_to_message?.from;
+      const { target, rest } =
+        /^\d/.test(args) && replied && !replied.is_bot
+          ? {
+              target: { id: replied.id, username: replied.username || null },
+              rest: args,
+            }
+          : resolveTargetAndArgs(msg, args);
+
+      const [amountStr, ...noteParts] = rest.split(/\s+/);
+      const amount = parseAmount(amountStr);
+
+      if (!target || !amount) {
+        await bot.sendMessage(chatId, t("pay.usage"));
+        return;
+      }
+
+      const account = getBankAccount(target.id);
+      if (!account) {
+        await bot.sendMessage(
+          chatId,
+          t("pay.noAccount", { user: formatUserLabel(target) }),
+        );
+        return;
+      }
+
+      const note = noteParts.join(" ");
+      await sendPaymentQr(
+        bot,
+        chatId,
+        account,
+        amount,
+        note,
+        t(note ? "pay.captionWithNote" : "pay.caption", {
+          from: formatUserLabel(msg.from),
+          to: formatUserLabel(target),
+          amount: formatAmount(amount),
+          note,
+        }),
+      );
+    },
+  });
+
+  logger.info("Payment commands registered");
+}
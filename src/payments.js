@@ -0,0 +1,212 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { BANK_ACCOUNTS_DB_PATH } from "./config.js";
+import { logger } from "./utils.js";
+
+// Short codes of common banks and their NAPAS BIN, so "/bank vcb ..." works
+// as well as "/bank 970436 ..."
+export const BANK_CODES = {
+  VCB: "970436",
+  VIETCOMBANK: "970436",
+  CTG: "970415",
+  VIETINBANK: "970415",
+  BIDV: "970418",
+  AGRIBANK: "970405",
+  TCB: "970407",
+  TECHCOMBANK: "970407",
+  MB: "970422",
+  MBBANK: "970422",
+  ACB: "970416",
+  VPB: "970432",
+  VPBANK: "970432",
+  TPB: "970423",
+  TPBANK: "970423",
+  STB: "970403",
+  SACOMBANK: "970403",
+  VIB: "970441",
+  SHB: "970443",
+  HDB: "970437",
+  HDBANK: "970437",
+  OCB: "970448",
+  MSB: "970426",
+  EIB: "970431",
+  EXIMBANK: "970431",
+  SEAB: "970440",
+  SEABANK: "970440",
+};
+
+// VietQR identifiers inside the EMVCo merchant account information
+const VIETQR_GUID = "A000000727";
+const VIETQR_SERVICE_ACCOUNT = "QRIBFTTA";
+
+// Longest transfer note banks accept in the QR code
+const MAX_NOTE_LENGTH = 25;
+
+/**
+ * Load the bank accounts of all users from JSON file
+ * @param {string} filePath - Path to the bank accounts database file
+ * @returns {Object<string, {bin: string, accountNumber: string, accountName: string}>} Accounts keyed by Telegram user ID
+ */
+export function loadBankAccounts(filePath = BANK_ACCOUNTS_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading bank accounts: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the bank accounts of all users to JSON file
+ * @param {Object} accounts - Accounts keyed by Telegram user ID
+ * @param {string} filePath - Path to the bank accounts database file
+ */
+function saveBankAccounts(accounts, filePath = BANK_ACCOUNTS_DB_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(accounts, null, 2), "utf-8");
+}
+
+/**
+ * Get the bank account of a user
+ * @param {number|null} userId - Telegram user ID
+ * @returns {Object|null} Account or null if none is registered
+ */
+export function getBankAccount(userId) {
+  if (userId === null || userId === undefined) return null;
+  return loadBankAccounts()[String(userId)] || null;
+}
+
+/**
+ * Turn text into the plain ASCII bank fields take
+ * ("Nguyễn Văn Đức" becomes "Nguyen Van Duc")
+ * @param {string} text - Text
+ * @returns {string} ASCII text
+ */
+export function toBankText(text) {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .replace(/[^\x20-\x7e]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse the arguments of /bank: bank (BIN or short code), account number
+ * and account holder name
+ * @param {string} text - Arguments, e.g. "vcb 0123456789 Nguyen Van A"
+ * @returns {{bin: string, accountNumber: string, accountName: string}|null} Account or null if invalid
+ */
+export function parseBankAccount(text) {
+  const [bank = "", accountNumber = "", ...nameParts] = (text || "")
+    .trim()
+    .split(/\s+/);
+
+  const bin = /^\d{6}$/.test(bank) ? bank : BANK_CODES[bank.toUpperCase()];
+  const accountName = toBankText(nameParts.join(" ")).toUpperCase();
+
+  if (!bin || !/^\d{6,19}$/.test(accountNumber) || !accountName) {
+    return null;
+  }
+  return { bin, accountNumber, accountName };
+}
+
+/**
+ * Register or replace the bank account of a user
+ * @param {number} userId - Telegram user ID
+ * @param {Object} account - Account from parseBankAccount
+ * @returns {Object} The stored account
+ */
+export function setBankAccount(userId, account) {
+  const accounts = loadBankAccounts();
+  accounts[String(userId)] = {
+    ...account,
+    updatedAt: new Date().toISOString(),
+  };
+  saveBankAccounts(accounts);
+  logger.info(`Bank account of user ${userId} registered`);
+  return accounts[String(userId)];
+}
+
+/**
+ * Remove the bank account of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} True if an account was removed
+ */
+export function removeBankAccount(userId) {
+  const accounts = loadBankAccounts();
+  if (!accounts[String(userId)]) return false;
+
+  delete accounts[String(userId)];
+  saveBankAccounts(accounts);
+  logger.info(`Bank account of user ${userId} removed`);
+  return true;
+}
+
+/**
+ * Format an EMVCo data object: ID, two-digit length and value
+ * @param {string} id - Two-digit field ID
+ * @param {string} value - Field value
+ * @returns {string} Data object
+ */
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, "0")}${value}`;
+}
+
+/**
+ * Compute the CRC-16/CCITT-FALSE checksum EMVCo QR codes end with
+ * @param {string} text - Payload up to and including "6304"
+ * @returns {string} Four uppercase hex digits
+ */
+function crc16(text) {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(text, "utf-8")) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+/**
+ * Build the VietQR (EMVCo) payload of a bank transfer
+ * Banking apps scanning it fill in the account, the amount and the note.
+ * @param {Object} account - Account with bin and accountNumber
+ * @param {number|null} amount - Amount in VND, or null to let the payer choose
+ * @param {string} note - Transfer note, shortened to what banks accept
+ * @returns {string} Payload text to encode as a QR code
+ */
+export function buildVietQrPayload(account, amount, note = "") {
+  const beneficiary =
+    emvField("00", account.bin) + emvField("01", account.accountNumber);
+  const merchantAccount =
+    emvField("00", VIETQR_GUID) +
+    emvField("01", beneficiary) +
+    emvField("02", VIETQR_SERVICE_ACCOUNT);
+  const purpose = toBankText(note).slice(0, MAX_NOTE_LENGTH).trim();
+
+  const payload = [
+    emvField("00", "01"),
+    // 12 marks a one-time code with an amount, 11 a reusable one
+    emvField("01", amount ? "12" : "11"),
+    emvField("38", merchantAccount),
+    emvField("53", "704"),
+    amount ? emvField("54", String(Math.round(amount))) : "",
+    emvField("58", "VN"),
+    purpose ? emvField("62", emvField("08", purpose)) : "",
+    "6304",
+  ].join("");
+
+  return payload + crc16(payload);
+}
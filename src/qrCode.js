@@ -0,0 +1,503 @@
+import { deflateSync } from "zlib";
+
+// QR code versions 1-10 at error correction level M (15% recovery):
+// [data codewords per block, number of blocks] groups and EC codewords per block
+const VERSIONS = [
+  null,
+  { ec: 10, groups: [[16, 1]], align: [] },
+  { ec: 16, groups: [[28, 1]], align: [6, 18] },
+  { ec: 26, groups: [[44, 1]], align: [6, 22] },
+  { ec: 18, groups: [[32, 2]], align: [6, 26] },
+  { ec: 24, groups: [[43, 2]], align: [6, 30] },
+  { ec: 16, groups: [[27, 4]], align: [6, 34] },
+  { ec: 18, groups: [[31, 4]], align: [6, 22, 38] },
+  {
+    ec: 22,
+    groups: [
+      [38, 2],
+      [39, 2],
+    ],
+    align: [6, 24, 42],
+  },
+  {
+    ec: 22,
+    groups: [
+      [36, 3],
+      [37, 2],
+    ],
+    align: [6, 26, 46],
+  },
+  {
+    ec: 26,
+    groups: [
+      [43, 4],
+      [44, 1],
+    ],
+    align: [6, 28, 50],
+  },
+];
+
+// Format bits of error correction level M
+const EC_LEVEL_M = 0b00;
+
+// Byte mode indicator
+const MODE_BYTE = 0b0100;
+
+// Penalty weights of the mask evaluation rules
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER = 40;
+const PENALTY_BALANCE = 10;
+
+// Finder-like pattern searched for by the third penalty rule
+const FINDER_LIKE = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+
+// Data mask conditions; a module is flipped where the condition holds
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * Multiply two numbers in GF(256) with the QR code polynomial 0x11D
+ * @param {number} x - Factor
+ * @param {number} y - Factor
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Compute the Reed-Solomon error correction codewords of a block
+ * @param {number[]} data - Data codewords
+ * @param {number} degree - Number of EC codewords
+ * @returns {number[]} EC codewords
+ */
+function reedSolomon(data, degree) {
+  // Generator polynomial, highest coefficient (always 1) left out
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Number of data codewords of a version
+ * @param {Object} version - Entry of VERSIONS
+ * @returns {number} Data codewords
+ */
+function dataCapacity(version) {
+  return version.groups.reduce((sum, [size, count]) => sum + size * count, 0);
+}
+
+/**
+ * Encode bytes as the data codewords of a version: byte mode, length,
+ * data, terminator and padding
+ * @param {Buffer} bytes - Data
+ * @param {number} versionNumber - QR code version
+ * @returns {number[]} Data codewords
+ */
+function encodeData(bytes, versionNumber) {
+  const capacity = dataCapacity(VERSIONS[versionNumber]);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(MODE_BYTE, 4);
+  push(bytes.length, versionNumber < 10 ? 8 : 16);
+  for (const byte of bytes) push(byte, 8);
+
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data codewords into blocks, add error correction and interleave
+ * @param {number[]} data - Data codewords
+ * @param {Object} version - Entry of VERSIONS
+ * @returns {number[]} Final codewords
+ */
+function addErrorCorrection(data, version) {
+  const blocks = [];
+  let offset = 0;
+  for (const [size, count] of version.groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      blocks.push({ data: block, ec: reedSolomon(block, version.ec) });
+      offset += size;
+    }
+  }
+
+  const result = [];
+  const longest = Math.max(...blocks.map((block) => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) result.push(block.data[i]);
+    }
+  }
+  for (let i = 0; i < version.ec; i++) {
+    for (const block of blocks) result.push(block.ec[i]);
+  }
+  return result;
+}
+
+/**
+ * Compute a BCH code as used by the format and version information
+ * @param {number} value - Value to protect
+ * @param {number} degree - Degree of the generator
+ * @param {number} generator - Generator polynomial
+ * @returns {number} Value followed by its check bits
+ */
+function bchCode(value, degree, generator) {
+  let rem = value;
+  for (let i = 0; i < degree; i++) {
+    rem = (rem << 1) ^ ((rem >>> (degree - 1)) * generator);
+  }
+  return (value << degree) | rem;
+}
+
+/**
+ * Create the module grid of a version with all function patterns drawn
+ * @param {number} versionNumber - QR code version
+ * @returns {{size: number, modules: boolean[][], reserved: boolean[][]}} Grid; reserved marks function modules
+ */
+function createGrid(versionNumber) {
+  const size = versionNumber * 4 + 17;
+  const modules = Array.from({ length: size }, () => Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const { align } = VERSIONS[versionNumber];
+  const last = align.length - 1;
+  align.forEach((cx, i) => {
+    align.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last)) return;
+      if (i === last && j === 0) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information
+  if (versionNumber >= 7) {
+    const bits = bchCode(versionNumber, 12, 0x1f25);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve the format information, drawn once the mask is known
+  drawFormat({ size, modules, reserved }, 0, set);
+  return { size, modules, reserved };
+}
+
+/**
+ * Draw the format information (error correction level and mask)
+ * @param {Object} grid - Grid from createGrid
+ * @param {number} mask - Mask number
+ * @param {Function} set - (x, y, dark) => void
+ */
+function drawFormat({ size }, mask, set) {
+  const bits = bchCode((EC_LEVEL_M << 3) | mask, 10, 0x537) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  // Around the top left finder
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+/**
+ * Place the codewords in the zigzag pattern over the non-function modules
+ * @param {Object} grid - Grid from createGrid
+ * @param {number[]} codewords - Final codewords
+ */
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern is skipped as a whole column
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        if (i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Flip the non-function modules where a mask condition holds
+ * Applying the same mask twice undoes it.
+ * @param {Object} grid - Grid from createGrid
+ * @param {number} mask - Mask number
+ */
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Score a masked grid with the four penalty rules of the QR code spec
+ * @param {boolean[][]} modules - Module grid
+ * @returns {number} Penalty, lower is better
+ */
+function penaltyScore(modules) {
+  const size = modules.length;
+  const columns = modules.map((_, x) => modules.map((row) => row[x]));
+  let score = 0;
+
+  for (const line of [...modules, ...columns]) {
+    // Runs of five or more modules of one color
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += PENALTY_RUN + run - 5;
+      run = 1;
+    }
+
+    // Patterns looking like a finder
+    const bits = line.map(Number);
+    for (let i = 0; i + FINDER_LIKE.length <= size; i++) {
+      const window = bits.slice(i, i + FINDER_LIKE.length);
+      if (
+        FINDER_LIKE.every((b, k) => window[k] === b) ||
+        FINDER_LIKE.every((b, k) => window[FINDER_LIKE.length - 1 - k] === b)
+      ) {
+        score += PENALTY_FINDER;
+      }
+    }
+  }
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (
+        color === modules[y][x + 1] &&
+        color === modules[y + 1][x] &&
+        color === modules[y + 1][x + 1]
+      ) {
+        score += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.flat().filter(Boolean).length;
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  return score + Math.max(0, k) * PENALTY_BALANCE;
+}
+
+/**
+ * Encode text as a QR code (byte mode, error correction level M)
+ * @param {string} text - Text to encode, as UTF-8
+ * @returns {boolean[][]} Module grid, true for dark modules
+ * @throws {Error} If the text does not fit in a version 10 QR code
+ */
+export function encodeQrCode(text) {
+  const bytes = Buffer.from(text, "utf-8");
+  const versionNumber = VERSIONS.findIndex(
+    (version, n) =>
+      version &&
+      4 + (n < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(version) * 8,
+  );
+  if (versionNumber === -1) {
+    throw new Error(`Text of ${bytes.length} bytes is too long for a QR code`);
+  }
+
+  const version = VERSIONS[versionNumber];
+  const grid = createGrid(versionNumber);
+  drawCodewords(
+    grid,
+    addErrorCorrection(encodeData(bytes, versionNumber), version),
+  );
+
+  const set = (x, y, dark) => {
+    grid.modules[y][x] = dark;
+  };
+
+  // Keep the mask with the lowest penalty
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(grid, mask);
+    drawFormat(grid, mask, set);
+    const score = penaltyScore(grid.modules);
+    if (score < bestScore) {
+      best = mask;
+      bestScore = score;
+    }
+    applyMask(grid, mask);
+  }
+
+  applyMask(grid, best);
+  drawFormat(grid, best, set);
+  return grid.modules;
+}
+
+// CRC-32 lookup table of PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type, e.g. "IHDR"
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Render a QR code as a black and white PNG image
+ * @param {boolean[][]} modules - Module grid from encodeQrCode
+ * @param {{scale?: number, margin?: number}} options - Pixels per module and quiet zone in modules
+ * @returns {Buffer} PNG file
+ */
+export function renderQrPng(modules, { scale = 8, margin = 4 } = {}) {
+  const size = (modules.length + margin * 2) * scale;
+
+  // Grayscale rows, each starting with filter type 0
+  const raw = Buffer.alloc((size + 1) * size, 0xff);
+  for (let py = 0; py < size; py++) {
+    raw[py * (size + 1)] = 0;
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < size; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (modules[y]?.[x]) raw[py * (size + 1) + 1 + px] = 0x00;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // grayscale
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,160 @@
+import { logger, isAdmin, formatDuration } from "./utils.js";
+import { recordAudit } from "./audit.js";
+import {
+  RATE_LIMIT_SCOPES,
+  ALL_COMMANDS,
+  parseLimit,
+  loadRateLimits,
+  setRateLimit,
+  hitRateLimit,
+} from "./rateLimits.js";
+
+// When each limited user was last told to slow down, keyed by limit key,
+// so a user hammering a command gets one reply per window instead of many
+const notifiedUntil = new Map();
+
+/**
+ * Count a use of a command against its rate limits
+ * Admins are exempt. Also used by buttons doing the same as a command, e.g.
+ * the reroll button counts as /newfood
+ * @param {string} commandName - Command name
+ * @param {Object} user - Telegram user object
+ * @param {number} chatId - Chat ID
+ * @param {Function} t - Translate function for the message
+ * @returns {{key: string, retryAfterMs: number, text: string}|null} The limit reached with its message, or null if allowed
+ */
+export function checkRateLimit(commandName, user, chatId, t) {
+  if (isAdmin(user)) return null;
+
+  const limited = hitRateLimit(commandName, user.id, chatId);
+  if (!limited) return null;
+
+  const params = {
+    command: commandName,
+    count: limited.limit.count,
+    window: formatDuration(limited.limit.windowMs),
+    duration: formatDuration(limited.retryAfterMs),
+  };
+  const key =
+    limited.command === ALL_COMMANDS
+      ? "ratelimit.tooFast"
+      : `ratelimit.${limited.scope}`;
+
+  logger.info(
+    `Rate limited /${commandName} of ${user.username || user.id} in chat ${chatId}`,
+  );
+  return {
+    key: limited.key,
+    retryAfterMs: limited.retryAfterMs,
+    text: t(key, params),
+  };
+}
+
+/**
+ * Middleware rejecting commands over their rate limit
+ * @param {Object} ctx - Command context
+ * @returns {Promise<boolean>} True to continue with the command
+ */
+async function rateLimitMiddleware({ bot, msg, command, t }) {
+  const limited = checkRateLimit(command.name, msg.from, msg.chat.id, t);
+  if (!limited) return true;
+
+  const now = Date.now();
+  if ((notifiedUntil.get(limited.key) || 0) > now) return false;
+  notifiedUntil.set(limited.key, now + limited.retryAfterMs);
+
+  await bot.sendMessage(msg.chat.id, limited.text, {
+    reply_to_message_id: msg.message_id,
+  });
+  return false;
+}
+
+/**
+ * Format the rate limits for /ratelimit
+ * @param {Function} t - Translate function
+ * @returns {string} One line per limit
+ */
+function formatRateLimits(t) {
+  const lines = [];
+
+  for (const [name, scopes] of Object.entries(loadRateLimits())) {
+    for (const scope of RATE_LIMIT_SCOPES) {
+      const limit = parseLimit(scopes[scope]);
+      if (!limit) continue;
+
+      lines.push(
+        t(`ratelimit.per.${scope}`, {
+          command: name === ALL_COMMANDS ? t("ratelimit.all") : `/${name}`,
+          count: limit.count,
+          window: formatDuration(limit.windowMs),
+        }),
+      );
+    }
+  }
+
+  return lines.length > 0 ? lines.join("\n") : t("ratelimit.none");
+}
+
+/**
+ * Register the rate limiter and the /ratelimit command with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerRateLimitCommands(bot, router) {
+  router.use(rateLimitMiddleware);
+
+  /**
+   * Show or change the rate limits - Admin only
+   */
+  router.register({
+    name: "ratelimit",
+    args: "[command user|chat count/window|off]",
+    description: "commands.ratelimit",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+
+      if (!args) {
+        await bot.sendMessage(
+          chatId,
+          `${t("ratelimit.title")}\n\n${formatRateLimits(t)}`,
+        );
+        return;
+      }
+
+      const [rawName = "", scope = "", value = "", ...extra] = args
+        .toLowerCase()
+        .split(/\s+/);
+      const name = rawName.replace(/^\//, "");
+      const known =
+        name === ALL_COMMANDS ||
+        router.getCommands(true).some((command) => command.name === name);
+      const limit = value === "off" ? null : parseLimit(value);
+
+      if (
+        !known ||
+        !RATE_LIMIT_SCOPES.includes(scope) ||
+        (value !== "off" && !limit) ||
+        extra.length > 0
+      ) {
+        await bot.sendMessage(chatId, t("ratelimit.usage"));
+        return;
+      }
+
+      const previous = setRateLimit(name, scope, limit ? value : null);
+      recordAudit(
+        msg,
+        "ratelimit",
+        previous ? `${name} ${scope} ${previous}` : null,
+        limit ? `${name} ${scope} ${value}` : null,
+      );
+
+      await bot.sendMessage(
+        chatId,
+        `${t("ratelimit.updated")}\n\n${formatRateLimits(t)}`,
+      );
+    },
+  });
+
+  logger.info("Rate limiter registered");
+}
@@ -0,0 +1,129 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { RATE_LIMITS, RATE_LIMITS_PATH } from "./config.js";
+import { logger, parseDuration } from "./utils.js";
+
+// Who a limit is counted for
+export const RATE_LIMIT_SCOPES = ["user", "chat"];
+
+// Limit name counting all commands together
+export const ALL_COMMANDS = "*";
+
+// Recent command times keyed by "command:scope:id", oldest first
+const hits = new Map();
+
+/**
+ * Parse a limit such as "3/1h" (3 times per hour)
+ * @param {string} text - Limit text
+ * @returns {{count: number, windowMs: number}|null} Parsed limit or null if invalid
+ */
+export function parseLimit(text) {
+  const match = /^(\d+)\/(\w+)$/.exec((text || "").trim());
+  if (!match) return null;
+
+  const count = parseInt(match[1], 10);
+  const windowMs = parseDuration(match[2]);
+  return count > 0 && windowMs ? { count, windowMs } : null;
+}
+
+/**
+ * Load the rate limits: the ones set with /ratelimit, or RATE_LIMITS
+ * @param {string} filePath - Path to the rate limits file
+ * @returns {Object<string, {user?: string, chat?: string}>} Limits keyed by command name
+ */
+export function loadRateLimits(filePath = RATE_LIMITS_PATH) {
+  if (!existsSync(filePath)) {
+    return structuredClone(RATE_LIMITS);
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data)
+      ? data
+      : structuredClone(RATE_LIMITS);
+  } catch (error) {
+    logger.error(`Error loading rate limits: ${error.message}`);
+    return structuredClone(RATE_LIMITS);
+  }
+}
+
+/**
+ * Save the rate limits to JSON file
+ * @param {Object} limits - Limits keyed by command name
+ * @param {string} filePath - Path to the rate limits file
+ */
+function saveRateLimits(limits, filePath = RATE_LIMITS_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(limits, null, 2), "utf-8");
+}
+
+/**
+ * Set or remove the limit of a command
+ * @param {string} command - Command name or ALL_COMMANDS
+ * @param {string} scope - "user" or "chat"
+ * @param {string|null} limit - Limit such as "3/1h", or null to remove it
+ * @returns {string|null} The previous limit
+ */
+export function setRateLimit(command, scope, limit) {
+  const limits = loadRateLimits();
+  const previous = limits[command]?.[scope] ?? null;
+
+  if (limit) {
+    limits[command] = { ...limits[command], [scope]: limit };
+  } else if (limits[command]) {
+    delete limits[command][scope];
+    if (Object.keys(limits[command]).length === 0) {
+      delete limits[command];
+    }
+  }
+
+  saveRateLimits(limits);
+  logger.info(`Rate limit of ${command} per ${scope} set to ${limit || "off"}`);
+  return previous;
+}
+
+/**
+ * Count a command against the rate limits of its user and chat
+ * The command is only counted if no limit is reached.
+ * @param {string} command - Command name
+ * @param {number} userId - Telegram user ID
+ * @param {number} chatId - Chat ID
+ * @returns {{key: string, command: string, scope: string, limit: Object, retryAfterMs: number}|null} The limit reached, or null if the command may run
+ */
+export function hitRateLimit(command, userId, chatId) {
+  const now = Date.now();
+  const limits = loadRateLimits();
+  const counters = [];
+
+  for (const name of [command, ALL_COMMANDS]) {
+    for (const scope of RATE_LIMIT_SCOPES) {
+      const limit = parseLimit(limits[name]?.[scope]);
+      if (!limit) continue;
+
+      const key = `${name}:${scope}:${scope === "user" ? userId : chatId}`;
+      const recent = (hits.get(key) || []).filter(
+        (time) => time > now - limit.windowMs,
+      );
+      hits.set(key, recent);
+
+      if (recent.length >= limit.count) {
+        return {
+          key,
+          command: name,
+          scope,
+          limit,
+          retryAfterMs: recent[0] + limit.windowMs - now,
+        };
+      }
+      counters.push(recent);
+    }
+  }
+
+  for (const recent of counters) {
+    recent.push(now);
+  }
+  return null;
+}
@@ -0,0 +1,205 @@
+import { logger, getRandomFood } from "./utils.js";
+import { TIMEZONE, SCHEDULER_INTERVAL_MS } from "./config.js";
+import {
+  parseTime,
+  parseDays,
+  isValidTimezone,
+  formatDays,
+  addSchedule,
+  removeSchedules,
+  getChatSchedules,
+  takeDueSchedules,
+} from "./schedules.js";
+import { suggestionKeyboard } from "./suggestionActions.js";
+import { recordAudit } from "./audit.js";
+import { getChatTranslator } from "./i18n.js";
+import { getFoodList } from "./foodLists.js";
+import { getCurrentMealSlot, getSlotCacheKey } from "./mealSlots.js";
+
+// Timer of the running scheduler
+let schedulerTimer = null;
+
+/**
+ * Post the suggestion from the chat's active list for a due schedule, for the
+ * meal slot in effect now; slot start times are in TIMEZONE, whatever the
+ * timezone of the schedule
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} schedule - Due schedule
+ */
+async function announceSchedule(bot, schedule) {
+  const list = getFoodList(schedule.chatId);
+  const slot = getCurrentMealSlot();
+  const food = getRandomFood(
+    list.path,
+    false,
+    getSlotCacheKey(list.cacheKey, slot),
+    null,
+    slot,
+  );
+
+  if (!food) {
+    logger.warn(`No foods available for schedule ${schedule.id}`);
+    return;
+  }
+
+  const t = getChatTranslator(schedule.chatId);
+  await bot.sendMessage(schedule.chatId, t("schedule.announcement", { food }), {
+    reply_markup: suggestionKeyboard(t, list.name, slot),
+  });
+  logger.info(
+    `Announced '${food}' to chat ${schedule.chatId} (schedule ${schedule.id})`,
+  );
+}
+
+/**
+ * Start checking schedules periodically
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+export function startScheduler(bot) {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => {
+    for (const schedule of takeDueSchedules()) {
+      announceSchedule(bot, schedule).catch((error) =>
+        logger.error(
+          `Error announcing schedule ${schedule.id}: ${error.message}`,
+        ),
+      );
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  logger.info("Scheduler started");
+}
+
+/**
+ * Stop checking schedules
+ */
+export function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Register daily announcement commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerScheduleCommands(bot, router) {
+  /**
+   * Schedule a daily suggestion in this chat - Admin only
+   */
+  router.register({
+    name: "schedule",
+    args: "HH:MM [days] [timezone]",
+    description: "commands.schedule",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const [timeStr, daysStr, timezone = TIMEZONE] = args.split(/\s+/);
+      const time = parseTime(timeStr);
+      const days = parseDays(daysStr);
+
+      if (!time || !days) {
+        await bot.sendMessage(chatId, t("schedule.usage"));
+        return;
+      }
+
+      if (!isValidTimezone(timezone)) {
+        await bot.sendMessage(
+          chatId,
+          t("schedule.unknownTimezone", { timezone }),
+        );
+        return;
+      }
+
+      const schedule = addSchedule(
+        chatId,
+        time,
+        days,
+        timezone,
+        user.username || String(user.id),
+      );
+      recordAudit(msg, "schedule", null, schedule);
+
+      await bot.sendMessage(
+        chatId,
+        t("schedule.added", {
+          id: schedule.id,
+          time,
+          days: formatDays(days),
+          timezone,
+        }),
+      );
+    },
+  });
+
+  /**
+   * Remove one or all schedules of this chat - Admin only
+   */
+  router.register({
+    name: "unschedule",
+    args: "[n|all]",
+    description: "commands.unschedule",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const arg = args.split(/\s+/)[0];
+      const id =
+        arg && arg !== "all" ? parseInt(arg.replace(/^#/, ""), 10) : null;
+
+      if (arg && arg !== "all" && isNaN(id)) {
+        await bot.sendMessage(chatId, t("unschedule.usage"));
+        return;
+      }
+
+      const before = getChatSchedules(chatId).filter(
+        (s) => id === null || s.id === id,
+      );
+      const removed = removeSchedules(chatId, id);
+      if (removed > 0) {
+        recordAudit(msg, "unschedule", before, null);
+      }
+
+      if (removed === 0) {
+        await bot.sendMessage(chatId, t("unschedule.notFound"));
+      } else {
+        await bot.sendMessage(
+          chatId,
+          t("unschedule.removed", { count: removed }),
+        );
+      }
+    },
+  });
+
+  /**
+   * List the schedules of this chat - Admin only
+   */
+  router.register({
+    name: "schedules",
+    description: "commands.schedules",
+    role: "admin",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const schedules = getChatSchedules(chatId);
+
+      if (schedules.length === 0) {
+        await bot.sendMessage(chatId, t("schedules.empty"));
+        return;
+      }
+
+      const lines = schedules.map(
+        (s) => `#${s.id} ${s.time} ${formatDays(s.days)} (${s.timezone})`,
+      );
+      await bot.sendMessage(
+        chatId,
+        `${t("schedules.title")}\n\n${lines.join("\n")}`,
+      );
+    },
+  });
+
+  logger.info("Schedule commands registered");
+}
@@ -0,0 +1,298 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { SCHEDULES_DB_PATH, TIMEZONE } from "./config.js";
+import { logger } from "./utils.js";
+
+// Day names in the order of Date.getDay()
+export const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Full day names, also accepted in day lists
+const FULL_DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Announcements missed by up to this many minutes (e.g. restart) are still sent
+const LATE_GRACE_MINUTES = 30;
+
+// Shortcuts accepted in place of a day list
+const DAY_ALIASES = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+
+/**
+ * Load all schedules from JSON file
+ * @param {string} filePath - Path to the schedules database file
+ * @returns {Object[]} Schedules
+ */
+export function loadSchedules(filePath = SCHEDULES_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+
+  try {
+    const list = JSON.parse(readFileSync(filePath, "utf-8"));
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    logger.error(`Error loading schedules: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Save all schedules to JSON file
+ * @param {Object[]} schedules - Schedules
+ * @param {string} filePath - Path to the schedules database file
+ */
+export function saveSchedules(schedules, filePath = SCHEDULES_DB_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(schedules, null, 2), "utf-8");
+}
+
+/**
+ * Parse a time such as "11:15" or "9:05"
+ * @param {string} text - Time text
+ * @returns {string|null} Time as "HH:MM" or null if invalid
+ */
+export function parseTime(text) {
+  const match = (text || "").match(/^(\d{1,2})[:h.](\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Get the number of a day name such as "mon" or "monday"
+ * @param {string} name - Lowercase day name
+ * @returns {number} Day number (0 = Sunday) or -1 if it is no day name
+ */
+function parseDayName(name) {
+  const day = DAY_NAMES.indexOf(name);
+  return day !== -1 ? day : FULL_DAY_NAMES.indexOf(name);
+}
+
+/**
+ * Parse a day list such as "mon-fri", "mon,wed,fri", "weekdays" or "daily"
+ * Ranges may wrap around the week, e.g. "fri-mon"
+ * @param {string} text - Day list text
+ * @returns {number[]|null} Sorted day numbers (0 = Sunday) or null if invalid
+ */
+export function parseDays(text) {
+  const value = (text || "daily").toLowerCase();
+  if (DAY_ALIASES[value]) return [...DAY_ALIASES[value]];
+
+  const days = new Set();
+
+  for (const part of value.split(",")) {
+    // A single day or a range of two, e.g. "mon-tue-wed" is rejected
+    const names = part.split("-");
+    if (names.length > 2) return null;
+
+    const [start, end] = names.map(parseDayName);
+    if (start === -1 || end === -1) return null;
+
+    if (end === undefined) {
+      days.add(start);
+      continue;
+    }
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Ho_Chi_Minh"
+ * @returns {boolean} True if the timezone is valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local date, day and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {{date: string, day: number, time: string}} Local "YYYY-MM-DD", day number and "HH:MM"
+ */
+export function getLocalTime(date, timezone = TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value]),
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Format the days of a schedule for display, collapsing consecutive days
+ * @param {number[]} days - Day numbers
+ * @returns {string} e.g. "mon-fri" or "mon, wed, fri"
+ */
+export function formatDays(days) {
+  if (days.length === 7) return "daily";
+
+  const groups = [];
+  for (const day of days) {
+    const last = groups[groups.length - 1];
+    if (last && last[1] === day - 1) {
+      last[1] = day;
+    } else {
+      groups.push([day, day]);
+    }
+  }
+
+  return groups
+    .map(([start, end]) =>
+      start === end
+        ? DAY_NAMES[start]
+        : end - start === 1
+          ? `${DAY_NAMES[start]}, ${DAY_NAMES[end]}`
+          : `${DAY_NAMES[start]}-${DAY_NAMES[end]}`,
+    )
+    .join(", ");
+}
+
+/**
+ * Add a daily announcement schedule for a chat
+ * @param {number|string} chatId - Chat ID
+ * @param {string} time - Local time "HH:MM"
+ * @param {number[]} days - Day numbers
+ * @param {string} timezone - IANA timezone
+ * @param {string} createdBy - Username or ID of the admin
+ * @returns {Object} The stored schedule
+ */
+export function addSchedule(chatId, time, days, timezone, createdBy) {
+  const schedules = loadSchedules();
+  const id = schedules.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+
+  const schedule = {
+    id,
+    chatId: String(chatId),
+    time,
+    days,
+    timezone,
+    createdBy,
+    lastRunDate: null,
+  };
+
+  // Do not announce today if the time has already passed
+  const now = getLocalTime(new Date(), timezone);
+  if (now.time >= time) {
+    schedule.lastRunDate = now.date;
+  }
+
+  schedules.push(schedule);
+  saveSchedules(schedules);
+  logger.info(`Added schedule ${id} for chat ${chatId} at ${time} ${timezone}`);
+  return schedule;
+}
+
+/**
+ * Remove schedules of a chat
+ * @param {number|string} chatId - Chat ID
+ * @param {number|null} id - Schedule ID, or null to remove all schedules of the chat
+ * @returns {number} Number of removed schedules
+ */
+export function removeSchedules(chatId, id = null) {
+  const schedules = loadSchedules();
+  const remaining = schedules.filter(
+    (s) => s.chatId !== String(chatId) || (id !== null && s.id !== id),
+  );
+
+  if (remaining.length !== schedules.length) {
+    saveSchedules(remaining);
+  }
+  return schedules.length - remaining.length;
+}
+
+/**
+ * Get the schedules of a chat
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object[]} Schedules of the chat
+ */
+export function getChatSchedules(chatId) {
+  return loadSchedules().filter((s) => s.chatId === String(chatId));
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time "HH:MM"
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Find the schedules that are due and mark them as run for today
+ * A schedule is due once its local time has passed on one of its days, for
+ * up to LATE_GRACE_MINUTES
+ * @param {Date} now - Current instant
+ * @returns {Object[]} Due schedules
+ */
+export function takeDueSchedules(now = new Date()) {
+  const schedules = loadSchedules();
+  const due = [];
+
+  for (const schedule of schedules) {
+    const local = getLocalTime(now, schedule.timezone);
+
+    const minutesLate = toMinutes(local.time) - toMinutes(schedule.time);
+
+    if (
+      schedule.lastRunDate !== local.date &&
+      schedule.days.includes(local.day) &&
+      minutesLate >= 0 &&
+      minutesLate <= LATE_GRACE_MINUTES
+    ) {
+      schedule.lastRunDate = local.date;
+      due.push(schedule);
+    }
+  }
+
+  if (due.length > 0) {
+    saveSchedules(schedules);
+  }
+  return due;
+}
@@ -0,0 +1,127 @@
+import { parseAmount, normalizeUsername } from "./utils.js";
+
+// Shares are rounded to this unit (VND)
+export const SPLIT_ROUNDING_UNIT = 1000;
+
+/**
+ * Parse the arguments of /split
+ * Accepts "<total> @a @b:120000 @c*2 [+10%]" where ":amount" is an itemized
+ * share, "*weight" a weighted share and "N%" a service/tip percentage
+ * @param {string} text - Arguments after the command
+ * @returns {{total: number, tipPercent: number, participants: Object[]}|{error: string, params?: Object}} Parsed split or error message key with its params
+ */
+export function parseSplitArgs(text) {
+  const [totalStr, ...tokens] = (text || "").trim().split(/\s+/);
+  const total = parseAmount(totalStr);
+
+  if (!total) {
+    return { error: "split.missingTotal" };
+  }
+
+  let tipPercent = 0;
+  const participants = [];
+
+  for (const token of tokens) {
+    const tipMatch = token.match(/^\+?(\d+(?:[.,]\d+)?)%$/);
+    if (tipMatch) {
+      tipPercent = parseFloat(tipMatch[1].replace(",", "."));
+      continue;
+    }
+
+    const userMatch = token.match(/^@(\w+)(?::([\d.,]+k?)|\*(\d+(?:\.\d+)?))?$/i);
+    if (!userMatch) {
+      return { error: "split.unknownToken", params: { token } };
+    }
+
+    const username = normalizeUsername(userMatch[1]);
+    if (participants.some((p) => p.username === username)) {
+      return { error: "split.duplicate", params: { username } };
+    }
+
+    const participant = { username, fixed: null, weight: 1 };
+    if (userMatch[2] !== undefined) {
+      participant.fixed = parseAmount(userMatch[2]);
+      if (!participant.fixed) {
+        return { error: "split.invalidAmount", params: { username } };
+      }
+    } else if (userMatch[3] !== undefined) {
+      participant.weight = parseFloat(userMatch[3]);
+      if (!(participant.weight > 0)) {
+        return { error: "split.invalidWeight", params: { username } };
+      }
+    }
+    participants.push(participant);
+  }
+
+  if (participants.length === 0) {
+    return { error: "split.missingParticipants" };
+  }
+
+  return { total, tipPercent, participants };
+}
+
+/**
+ * Round a list of amounts to SPLIT_ROUNDING_UNIT so that they add up to the
+ * rounded total, giving leftover units to the largest remainders
+ * @param {number[]} amounts - Exact amounts
+ * @returns {number[]} Rounded amounts
+ */
+function roundShares(amounts) {
+  const exactTotal = amounts.reduce((sum, a) => sum + a, 0);
+  const totalUnits = Math.round(exactTotal / SPLIT_ROUNDING_UNIT);
+
+  const units = amounts.map((a) => Math.floor(a / SPLIT_ROUNDING_UNIT));
+  let leftover = totalUnits - units.reduce((sum, u) => sum + u, 0);
+
+  const byRemainder = amounts
+    .map((a, i) => ({ i, remainder: a / SPLIT_ROUNDING_UNIT - units[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { i } of byRemainder) {
+    if (leftover <= 0) break;
+    units[i]++;
+    leftover--;
+  }
+
+  return units.map((u) => u * SPLIT_ROUNDING_UNIT);
+}
+
+/**
+ * Calculate each participant's share of a bill
+ * Itemized shares are taken first, the rest is split by weight among the
+ * other participants, then the tip is added proportionally
+ * @param {{total: number, tipPercent: number, participants: Object[]}} split - Parsed split
+ * @returns {{shares: {username: string, amount: number}[], tip: number, grandTotal: number}|{error: string}} Breakdown or error message key
+ */
+export function calculateSplit({ total, tipPercent, participants }) {
+  const fixedTotal = participants.reduce((sum, p) => sum + (p.fixed || 0), 0);
+  const remainder = total - fixedTotal;
+  const weighted = participants.filter((p) => p.fixed === null);
+  const totalWeight = weighted.reduce((sum, p) => sum + p.weight, 0);
+
+  if (remainder < 0) {
+    return { error: "split.itemizedTooLarge" };
+  }
+  if (weighted.length === 0 && remainder > 0) {
+    return { error: "split.itemizedMismatch" };
+  }
+
+  const tipFactor = 1 + tipPercent / 100;
+  const exactShares = participants.map((p) => {
+    const base =
+      p.fixed !== null ? p.fixed : (remainder * p.weight) / totalWeight;
+    return base * tipFactor;
+  });
+
+  const rounded = roundShares(exactShares);
+  const grandTotal = rounded.reduce((sum, a) => sum + a, 0);
+
+  return {
+    shares: participants.map((p, i) => ({
+      username: p.username,
+      amount: rounded[i],
+    })),
+    tip: (total * tipPercent) / 100,
+    grandTotal,
+  };
+}
@@ -0,0 +1,193 @@
+import {
+  logger,
+  getRandomFood,
+  getCachedFood,
+  isFoodCacheLocked,
+  saveFoodCache,
+  skipFood,
+  getRestriction,
+  formatRestrictionMessage,
+} from "./utils.js";
+import { DEFAULT_FOOD_LIST } from "./config.js";
+import { getChatTranslator } from "./i18n.js";
+import { checkRateLimit } from "./rateLimitCommands.js";
+import { getFoodList, normalizeListName } from "./foodLists.js";
+import {
+  normalizeMealSlot,
+  getCurrentMealSlot,
+  getSlotCacheKey,
+} from "./mealSlots.js";
+
+// Prefix of the callback data used by suggestion buttons
+const CALLBACK_PREFIX = "food:";
+
+/**
+ * Build the inline keyboard attached to food suggestions
+ * Buttons carry the list and meal slot of the suggestion, e.g.
+ * "food:reroll:drinks:lunch"; buttons without them (older messages) act on
+ * the default list and the current slot
+ * @param {Function} t - Translate function for the button labels
+ * @param {string} list - Name of the list the suggestion comes from
+ * @param {string|null} slot - Meal slot of the suggestion
+ * @returns {Object} reply_markup for sendMessage / editMessageText
+ */
+export function suggestionKeyboard(t, list = DEFAULT_FOOD_LIST, slot = null) {
+  const suffix = slot
+    ? `:${list}:${slot}`
+    : list === DEFAULT_FOOD_LIST
+      ? ""
+      : `:${list}`;
+  return {
+    inline_keyboard: [
+      [
+        {
+          text: t("suggestion.reroll"),
+          callback_data: `${CALLBACK_PREFIX}reroll${suffix}`,
+        },
+        {
+          text: t("suggestion.accept"),
+          callback_data: `${CALLBACK_PREFIX}accept${suffix}`,
+        },
+      ],
+      [
+        {
+          text: t("suggestion.skip"),
+          callback_data: `${CALLBACK_PREFIX}skip${suffix}`,
+        },
+      ],
+    ],
+  };
+}
+
+/**
+ * Replace the suggestion message with a new random food
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} message - The suggestion message
+ * @param {Object} list - Food list of the suggestion, see getFoodList
+ * @param {string|null} slot - Meal slot of the suggestion
+ * @param {Function} t - Translate function of the chat
+ * @returns {string|null} The new food or null if the list is empty
+ */
+async function rerollSuggestion(bot, message, list, slot, t) {
+  const chatId = message.chat.id;
+  const food = getRandomFood(
+    list.path,
+    true,
+    getSlotCacheKey(list.cacheKey, slot),
+    null,
+    slot,
+  );
+
+  if (!food) {
+    await bot.editMessageText(t("food.noFoods"), {
+      chat_id: chatId,
+      message_id: message.message_id,
+    });
+    return null;
+  }
+
+  await bot.editMessageText(t("food.newSuggestion", { food }), {
+    chat_id: chatId,
+    message_id: message.message_id,
+    reply_markup: suggestionKeyboard(t, list.name, slot),
+  });
+  return food;
+}
+
+/**
+ * Register the callback handler for suggestion buttons
+ * @param {TelegramBot} bot - Telegram bot instance
+ */
+export function registerSuggestionActions(bot) {
+  bot.on("callback_query", async (query) => {
+    if (!query.data?.startsWith(CALLBACK_PREFIX) || !query.message) return;
+
+    const [action, listName, slotName] = query.data
+      .slice(CALLBACK_PREFIX.length)
+      .split(":");
+    const message = query.message;
+    const chatId = message.chat.id;
+    const list = getFoodList(
+      chatId,
+      normalizeListName(listName) || DEFAULT_FOOD_LIST,
+    );
+    const slot = normalizeMealSlot(slotName) || getCurrentMealSlot();
+    const cacheKey = getSlotCacheKey(list.cacheKey, slot);
+    const user = query.from;
+    const t = getChatTranslator(chatId, user);
+
+    try {
+      const restriction = getRestriction(user);
+      if (restriction) {
+        await bot.answerCallbackQuery(query.id, {
+          text: formatRestrictionMessage(restriction, t),
+          show_alert: true,
+        });
+        return;
+      }
+
+      if (isFoodCacheLocked(cacheKey)) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("suggestion.alreadyLocked", {
+            food: getCachedFood(cacheKey),
+          }),
+        });
+        return;
+      }
+
+      // Reroll and skip pick a new food like /newfood and share its limits
+      if (action === "reroll" || action === "skip") {
+        const limited = checkRateLimit("newfood", user, chatId, t);
+        if (limited) {
+          await bot.answerCallbackQuery(query.id, {
+            text: limited.text,
+            show_alert: true,
+          });
+          return;
+        }
+      }
+
+      const currentFood = getCachedFood(cacheKey);
+
+      if (action === "reroll") {
+        await rerollSuggestion(bot, message, list, slot, t);
+        await bot.answerCallbackQuery(query.id);
+      } else if (action === "accept") {
+        if (!currentFood) {
+          await bot.answerCallbackQuery(query.id, {
+            text: t("suggestion.expired"),
+          });
+          return;
+        }
+
+        saveFoodCache(currentFood, cacheKey, true);
+        logger.info(
+          `Food '${currentFood}' locked in chat ${chatId} by ${user.username || user.id}`,
+        );
+        await bot.editMessageText(
+          t("suggestion.accepted", { food: currentFood }),
+          { chat_id: chatId, message_id: message.message_id },
+        );
+        await bot.answerCallbackQuery(query.id, {
+          text: t("suggestion.lockedIn"),
+        });
+      } else if (action === "skip") {
+        if (currentFood) {
+          skipFood(currentFood, cacheKey);
+        }
+        await rerollSuggestion(bot, message, list, slot, t);
+        await bot.answerCallbackQuery(query.id, {
+          text: currentFood
+            ? t("suggestion.skipped", { food: currentFood })
+            : undefined,
+        });
+      } else {
+        await bot.answerCallbackQuery(query.id);
+      }
+    } catch (error) {
+      logger.error(`Error handling suggestion action: ${error.message}`);
+    }
+  });
+
+  logger.info("Suggestion actions registered");
+}
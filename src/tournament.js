@@ -0,0 +1,89 @@
+/**
+ * Get the size of the bracket that fits a number of foods
+ * @param {number} count - Number of foods available
+ * @returns {number} Largest power of two not above count, or 0 if below 2
+ */
+export function getBracketSize(count) {
+  return count < 2 ? 0 : 2 ** Math.floor(Math.log2(count));
+}
+
+/**
+ * Pair foods into the matches of a round, in order
+ * @param {string[]} foods - Foods of the round, an even number
+ * @returns {Object[]} Matches with their two foods and no votes yet
+ */
+export function createRound(foods) {
+  const matches = [];
+  for (let i = 0; i < foods.length; i += 2) {
+    matches.push({
+      foods: [foods[i], foods[i + 1]],
+      votes: {},
+      winner: null,
+      tieBreak: false,
+    });
+  }
+  return matches;
+}
+
+/**
+ * Get the locale key suffix naming a round by its number of matches
+ * @param {number} matchCount - Matches in the round
+ * @returns {string} "final", "semifinal", "quarterfinal" or "round"
+ */
+export function getRoundKey(matchCount) {
+  if (matchCount === 1) return "final";
+  if (matchCount === 2) return "semifinal";
+  if (matchCount === 4) return "quarterfinal";
+  return "round";
+}
+
+/**
+ * Record a user's vote in a match, replacing their previous vote
+ * @param {Object} match - Match of the running round
+ * @param {number} userId - Telegram user ID
+ * @param {number} side - 0 or 1, the food voted for
+ * @returns {boolean} True if the vote changed
+ */
+export function castVote(match, userId, side) {
+  if (match.votes[userId] === side) return false;
+  match.votes[userId] = side;
+  return true;
+}
+
+/**
+ * Count the votes of both foods of a match
+ * @param {Object} match - Match
+ * @returns {number[]} Votes of the first and the second food
+ */
+export function countVotes(match) {
+  const counts = [0, 0];
+  for (const side of Object.values(match.votes)) {
+    counts[side]++;
+  }
+  return counts;
+}
+
+/**
+ * Decide a match by its votes, resolving ties (also without votes) randomly
+ * @param {Object} match - Match of the round that just closed
+ * @returns {string} The winning food
+ */
+export function decideMatch(match) {
+  const [first, second] = countVotes(match);
+
+  match.tieBreak = first === second;
+  match.winner = match.tieBreak
+    ? Math.floor(Math.random() * 2)
+    : Number(second > first);
+
+  return match.foods[match.winner];
+}
+
+/**
+ * Get the winners of a decided round, in bracket order
+ * @param {Object[]} round - Decided matches
+ * @returns {string[]} Winning foods
+ */
+export function getRoundWinners(round) {
+  return round.map((match) => match.foods[match.winner]);
+}
@@ -0,0 +1,356 @@
+import {
+  logger,
+  isAdmin,
+  getRandomFoods,
+  saveFoodCache,
+  getRestriction,
+  formatRestrictionMessage,
+  formatDuration,
+} from "./utils.js";
+import { TOURNAMENT_DEFAULT_SIZE, TOURNAMENT_ROUND_MS } from "./config.js";
+import { getChatTranslator } from "./i18n.js";
+import { getFoodList } from "./foodLists.js";
+import { getCurrentMealSlot, getSlotCacheKey } from "./mealSlots.js";
+import {
+  getBracketSize,
+  createRound,
+  getRoundKey,
+  castVote,
+  countVotes,
+  decideMatch,
+  getRoundWinners,
+} from "./tournament.js";
+
+// Bracket sizes accepted by /tournament
+const TOURNAMENT_SIZES = [8, 16];
+
+// Prefix of the callback data of the vote buttons
+const CALLBACK_PREFIX = "tour:";
+
+// Food names are cut to this length on the vote buttons
+const MAX_BUTTON_LENGTH = 30;
+
+// Status messages are edited at most this often, as Telegram rate limits
+// edits of a message and a busy vote would otherwise hit that limit
+const STATUS_EDIT_INTERVAL_MS = 2500;
+
+// Running tournaments keyed by chat ID
+const activeTournaments = new Map();
+
+// Tournament IDs, so buttons of an earlier tournament are recognized as stale
+let nextTournamentId = 1;
+
+/**
+ * Format the bracket of a tournament for its status message
+ * @param {Object} tournament - Tournament
+ * @param {Function} t - Translate function of the chat
+ * @returns {string} Status message text
+ */
+function formatStatus(tournament, t) {
+  const sections = [t("tournament.title", { count: tournament.size })];
+
+  for (const round of tournament.rounds) {
+    const lines = [
+      t(`tournament.round.${getRoundKey(round.length)}`, {
+        count: round.length * 2,
+      }),
+    ];
+
+    for (const match of round) {
+      const [first, second] = match.foods;
+
+      if (match.winner === null) {
+        lines.push(`▫️ ${first} vs ${second}`);
+        continue;
+      }
+
+      const [firstVotes, secondVotes] = countVotes(match);
+      const winner = match.foods[match.winner];
+      lines.push(
+        `✔️ ${first} ${firstVotes} - ${secondVotes} ${second} → ${winner}${match.tieBreak ? " 🎲" : ""}`,
+      );
+    }
+
+    sections.push(lines.join("\n"));
+  }
+
+  if (tournament.champion) {
+    sections.push(t("tournament.championTitle", { food: tournament.champion }));
+  } else if (tournament.cancelled) {
+    sections.push(t("tournament.cancelled"));
+  } else {
+    sections.push(
+      t("tournament.voteHint", { time: formatDuration(TOURNAMENT_ROUND_MS) }),
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * Build the vote buttons of the running round, one row per match
+ * @param {Object} tournament - Tournament
+ * @returns {Object} reply_markup for sendMessage / editMessageText
+ */
+function voteKeyboard(tournament) {
+  const roundIndex = tournament.rounds.length - 1;
+
+  return {
+    inline_keyboard: tournament.rounds[roundIndex].map((match, i) => {
+      const counts = countVotes(match);
+      return match.foods.map((food, side) => ({
+        text: `${food.slice(0, MAX_BUTTON_LENGTH)} (${counts[side]})`,
+        callback_data: `${CALLBACK_PREFIX}${tournament.id}:${roundIndex}:${i}:${side}`,
+      }));
+    }),
+  };
+}
+
+/**
+ * Edit the status message of a tournament right away
+ * The vote buttons are only kept while a round is running. A pending
+ * throttled edit is dropped, as this edit already shows its changes.
+ * Nothing is sent when the message would not change (e.g. a vote moved to
+ * the other side and back), as Telegram rejects such edits
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} tournament - Tournament
+ */
+async function updateStatus(bot, tournament) {
+  const t = getChatTranslator(tournament.chatId);
+  const running = !tournament.champion && !tournament.cancelled;
+
+  clearTimeout(tournament.editTimer);
+  tournament.editTimer = null;
+
+  const text = formatStatus(tournament, t);
+  const replyMarkup = running ? voteKeyboard(tournament) : null;
+  const status = JSON.stringify([text, replyMarkup]);
+  if (status === tournament.lastStatus) return;
+
+  tournament.lastEditAt = Date.now();
+  tournament.lastStatus = status;
+
+  await bot.editMessageText(text, {
+    chat_id: tournament.chatId,
+    message_id: tournament.messageId,
+    ...(replyMarkup && { reply_markup: replyMarkup }),
+  });
+}
+
+/**
+ * Edit the status message of a tournament after a vote
+ * Votes coming in quicker than STATUS_EDIT_INTERVAL_MS share one later edit
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} tournament - Tournament
+ */
+async function throttleStatusUpdate(bot, tournament) {
+  if (tournament.editTimer) return;
+
+  const wait = tournament.lastEditAt + STATUS_EDIT_INTERVAL_MS - Date.now();
+  if (wait <= 0) {
+    await updateStatus(bot, tournament);
+    return;
+  }
+
+  tournament.editTimer = setTimeout(() => {
+    updateStatus(bot, tournament).catch((error) =>
+      logger.error(`Error updating tournament status: ${error.message}`),
+    );
+  }, wait);
+}
+
+/**
+ * Start the timer of the running round of a tournament
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} tournament - Tournament
+ */
+function startRoundTimer(bot, tournament) {
+  tournament.timer = setTimeout(() => {
+    closeRound(bot, tournament.chatId).catch((error) =>
+      logger.error(`Error closing tournament round: ${error.message}`),
+    );
+  }, TOURNAMENT_ROUND_MS);
+}
+
+/**
+ * Decide the matches of the running round, then start the next round or
+ * crown the champion
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ */
+async function closeRound(bot, chatId) {
+  const tournament = activeTournaments.get(chatId);
+  if (!tournament) return;
+
+  clearTimeout(tournament.timer);
+  const round = tournament.rounds[tournament.rounds.length - 1];
+  round.forEach(decideMatch);
+  const winners = getRoundWinners(round);
+
+  if (winners.length > 1) {
+    tournament.rounds.push(createRound(winners));
+    startRoundTimer(bot, tournament);
+    await updateStatus(bot, tournament);
+    return;
+  }
+
+  activeTournaments.delete(chatId);
+  tournament.champion = winners[0];
+  saveFoodCache(
+    tournament.champion,
+    getSlotCacheKey(tournament.list.cacheKey, tournament.slot),
+  );
+  logger.info(`Tournament in chat ${chatId} won by ${tournament.champion}`);
+
+  await updateStatus(bot, tournament);
+  const t = getChatTranslator(chatId);
+  await bot.sendMessage(
+    chatId,
+    t("tournament.champion", { food: tournament.champion }),
+    { reply_to_message_id: tournament.messageId },
+  );
+}
+
+/**
+ * Register the elimination tournament command and its vote buttons
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerTournamentCommands(bot, router) {
+  /**
+   * Start a bracket between 8 or 16 random foods, or cancel it (admins)
+   */
+  router.register({
+    name: "tournament",
+    args: "[8|16|cancel]",
+    description: "commands.tournament",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      if (args.toLowerCase() === "cancel") {
+        if (!isAdmin(user)) {
+          await bot.sendMessage(chatId, t("permission.adminOnly"));
+          return;
+        }
+
+        const tournament = activeTournaments.get(chatId);
+        if (!tournament) {
+          await bot.sendMessage(chatId, t("tournament.notRunning"));
+          return;
+        }
+
+        activeTournaments.delete(chatId);
+        clearTimeout(tournament.timer);
+        tournament.cancelled = true;
+        logger.info(
+          `Tournament in chat ${chatId} cancelled by ${user.username || user.id}`,
+        );
+        await updateStatus(bot, tournament);
+        await bot.sendMessage(chatId, t("tournament.cancelled"), {
+          reply_to_message_id: tournament.messageId,
+        });
+        return;
+      }
+
+      const size = args ? parseInt(args, 10) : TOURNAMENT_DEFAULT_SIZE;
+      if (!TOURNAMENT_SIZES.includes(size)) {
+        await bot.sendMessage(chatId, t("tournament.usage"));
+        return;
+      }
+
+      if (activeTournaments.has(chatId)) {
+        await bot.sendMessage(chatId, t("tournament.alreadyRunning"));
+        return;
+      }
+
+      // Shrink the bracket if the slot has fewer foods than asked for
+      const list = getFoodList(chatId);
+      const slot = getCurrentMealSlot();
+      const candidates = getRandomFoods(size, list.path, slot);
+      const bracketSize = getBracketSize(candidates.length);
+
+      if (bracketSize === 0) {
+        await bot.sendMessage(chatId, t("tournament.notEnoughFoods"));
+        return;
+      }
+
+      const tournament = {
+        id: nextTournamentId++,
+        chatId,
+        list,
+        slot,
+        size: bracketSize,
+        rounds: [createRound(candidates.slice(0, bracketSize))],
+        editTimer: null,
+      };
+
+      const chatT = getChatTranslator(chatId);
+      const text = formatStatus(tournament, chatT);
+      const replyMarkup = voteKeyboard(tournament);
+      const statusMessage = await bot.sendMessage(chatId, text, {
+        reply_markup: replyMarkup,
+      });
+      tournament.messageId = statusMessage.message_id;
+      tournament.lastEditAt = Date.now();
+      tournament.lastStatus = JSON.stringify([text, replyMarkup]);
+
+      activeTournaments.set(chatId, tournament);
+      startRoundTimer(bot, tournament);
+
+      logger.info(
+        `Tournament started in chat ${chatId} by ${user.username || user.id}: ${candidates.slice(0, bracketSize).join(", ")}`,
+      );
+    },
+  });
+
+  /**
+   * Handle votes on the matches of the running round
+   */
+  bot.on("callback_query", async (query) => {
+    if (!query.data?.startsWith(CALLBACK_PREFIX) || !query.message) return;
+
+    const [id, roundIndex, matchIndex, side] = query.data
+      .slice(CALLBACK_PREFIX.length)
+      .split(":")
+      .map((part) => parseInt(part, 10));
+    const chatId = query.message.chat.id;
+    const user = query.from;
+    const t = getChatTranslator(chatId, user);
+
+    try {
+      const restriction = getRestriction(user);
+      if (restriction) {
+        await bot.answerCallbackQuery(query.id, {
+          text: formatRestrictionMessage(restriction, t),
+          show_alert: true,
+        });
+        return;
+      }
+
+      const tournament = activeTournaments.get(chatId);
+      const match =
+        tournament?.id === id && tournament.rounds.length - 1 === roundIndex
+          ? tournament.rounds[roundIndex][matchIndex]
+          : null;
+
+      if (!match || ![0, 1].includes(side)) {
+        await bot.answerCallbackQuery(query.id, {
+          text: t("tournament.expired"),
+        });
+        return;
+      }
+
+      if (castVote(match, user.id, side)) {
+        await throttleStatusUpdate(bot, tournament);
+      }
+      await bot.answerCallbackQuery(query.id, {
+        text: t("tournament.voted", { food: match.foods[side] }),
+      });
+    } catch (error) {
+      logger.error(`Error handling tournament vote: ${error.message}`);
+    }
+  });
+
+  logger.info("Tournament commands registered");
+}
@@ -3,7 +3,6 @@ import {
   writeFileSync,
   existsSync,
   mkdirSync,
-  unlinkSync,
   appendFileSync,
 } from "fs";
 import { dirname } from "path";
@@ -11,10 +10,21 @@ import {
   FOOD_LIST_PATH,
   FOOD_CACHE_PATH,
   CACHE_DURATION_MS,
+  DEFAULT_CACHE_KEY,
+  LEGACY_CACHE_KEY,
+  FOOD_HISTORY_PATH,
+  COOLDOWN_DAYS,
+  COOLDOWN_PICKS,
+  HISTORY_MAX_ENTRIES,
+  TIMEZONE,
   ADMIN_DB_PATH,
   RESTRICTED_USERS_DB_PATH,
+  USERS_DB_PATH,
   DEFAULT_ADMINS,
 } from "./config.js";
+import { getTranslator, getChatTranslator } from "./i18n.js";
+import { searchFoods } from "./foodSearch.js";
+import { filterFoodsByMealSlot, splitSlotCacheKey } from "./mealSlots.js";
 
 /**
  * Logger utility for consistent logging
@@ -40,8 +50,23 @@ function ensureDirectoryExists(filePath) {
 }
 
 /**
- * Load the cached food and timestamp from JSON file
- * @returns {Object} Cached food data
+ * Check whether a cache entry is still within CACHE_DURATION_MS
+ * @param {Object} entry - Cache entry with food and timestamp
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the entry is still valid
+ */
+function isCacheEntryValid(entry, now = new Date()) {
+  if (!entry || !entry.food || !entry.timestamp) return false;
+
+  const cachedTime = new Date(entry.timestamp);
+  return now.getTime() - cachedTime.getTime() < CACHE_DURATION_MS;
+}
+
+/**
+ * Load the per-chat food cache from JSON file
+ * A still valid cache in the legacy single-entry format ({food, timestamp})
+ * is kept under LEGACY_CACHE_KEY, see getCacheEntry
+ * @returns {Object<string, {food: string, timestamp: string}>} Cache entries keyed by chat ID
  */
 export function loadFoodCache() {
   if (!existsSync(FOOD_CACHE_PATH)) {
@@ -49,8 +74,30 @@ export function loadFoodCache() {
   }
 
   try {
-    const data = readFileSync(FOOD_CACHE_PATH, "utf-8");
-    return JSON.parse(data);
+    const data = JSON.parse(readFileSync(FOOD_CACHE_PATH, "utf-8"));
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return {};
+    }
+
+    // Legacy format: a single global {food, timestamp} entry
+    if (typeof data.food === "string") {
+      if (!isCacheEntryValid(data)) {
+        logger.info("Discarding expired legacy food cache");
+        return {};
+      }
+
+      logger.info("Migrating legacy food cache to per-chat format");
+      return {
+        [LEGACY_CACHE_KEY]: {
+          food: data.food,
+          timestamp: data.timestamp,
+          claimed: [],
+        },
+      };
+    }
+
+    return data;
   } catch (error) {
     logger.error(`Error loading food cache: ${error.message}`);
     return {};
@@ -58,40 +105,234 @@ export function loadFoodCache() {
 }
 
 /**
- * Save the current food and timestamp to cache
- * @param {string} food - The food to cache
+ * Get the cache entry of a chat
+ * A chat without an entry of its own gets the migrated legacy suggestion for
+ * its default list, until it saves, skips or clears a suggestion itself
+ * @param {Object} cache - Cache entries, see loadFoodCache
+ * @param {number|string} chatId - Chat ID, see getSlotCacheKey
+ * @returns {Object|undefined} Cache entry
+ */
+function getCacheEntry(cache, chatId) {
+  const key = String(chatId);
+  if (cache[key]) return cache[key];
+
+  const legacy = cache[LEGACY_CACHE_KEY];
+  const isDefaultList = !splitSlotCacheKey(key).key.includes(":");
+  if (isDefaultList && !legacy?.claimed?.includes(key)) {
+    return legacy;
+  }
+  return undefined;
+}
+
+/**
+ * Stop a chat from falling back to the migrated legacy suggestion
+ * @param {Object} cache - Cache entries, changed in place
+ * @param {number|string} chatId - Chat ID
+ */
+function claimLegacyCache(cache, chatId) {
+  const legacy = cache[LEGACY_CACHE_KEY];
+  if (legacy && !legacy.claimed?.includes(String(chatId))) {
+    legacy.claimed = [...(legacy.claimed || []), String(chatId)];
+  }
+}
+
+/**
+ * Check whether a skipped food is still within CACHE_DURATION_MS
+ * @param {{food: string, timestamp: string}} skip - Skipped food entry
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the skip still applies
  */
-export function saveFoodCache(food) {
+function isSkipValid(skip, now = new Date()) {
+  return now.getTime() - new Date(skip.timestamp).getTime() < CACHE_DURATION_MS;
+}
+
+/**
+ * Write the per-chat food cache to file, dropping expired entries
+ * Entries whose food expired are kept while they still hold skipped foods
+ * @param {Object} cache - Cache entries keyed by chat ID
+ */
+function writeFoodCache(cache) {
   ensureDirectoryExists(FOOD_CACHE_PATH);
 
-  const cacheData = {
+  const now = new Date();
+  const validEntries = {};
+
+  for (const [chatId, entry] of Object.entries(cache)) {
+    const skipped = (entry?.skipped || []).filter((skip) =>
+      isSkipValid(skip, now),
+    );
+
+    if (isCacheEntryValid(entry, now)) {
+      validEntries[chatId] = { ...entry, skipped };
+    } else if (skipped.length > 0) {
+      validEntries[chatId] = { skipped };
+    }
+  }
+
+  writeFileSync(
+    FOOD_CACHE_PATH,
+    JSON.stringify(validEntries, null, 2),
+    "utf-8",
+  );
+}
+
+/**
+ * Get the cached food for a chat if it has not expired
+ * @param {number|string} chatId - Chat ID
+ * @returns {string|null} Cached food or null if none is valid
+ */
+export function getCachedFood(chatId = DEFAULT_CACHE_KEY) {
+  const entry = getCacheEntry(loadFoodCache(), chatId);
+  return isCacheEntryValid(entry) ? entry.food : null;
+}
+
+/**
+ * Check whether the cached food of a chat has been locked in
+ * @param {number|string} chatId - Chat ID
+ * @returns {boolean} True if the suggestion is locked
+ */
+export function isFoodCacheLocked(chatId = DEFAULT_CACHE_KEY) {
+  const entry = getCacheEntry(loadFoodCache(), chatId);
+  return isCacheEntryValid(entry) && entry.locked === true;
+}
+
+/**
+ * Save the current food and timestamp to the cache of a chat
+ * @param {string} food - The food to cache
+ * @param {number|string} chatId - Chat ID
+ * @param {boolean} locked - If true, the suggestion is locked in and cannot be rerolled
+ */
+export function saveFoodCache(
+  food,
+  chatId = DEFAULT_CACHE_KEY,
+  locked = false,
+) {
+  const cache = loadFoodCache();
+  const key = String(chatId);
+
+  claimLegacyCache(cache, key);
+  cache[key] = {
     food,
     timestamp: new Date().toISOString(),
+    locked,
+    skipped: cache[key]?.skipped || [],
   };
 
-  writeFileSync(FOOD_CACHE_PATH, JSON.stringify(cacheData, null, 2), "utf-8");
+  writeFoodCache(cache);
+  recordFoodHistory(food, chatId);
 }
 
 /**
- * Clear the cached food suggestion
+ * Get the foods skipped in a chat during the current cache window
+ * @param {number|string} chatId - Chat ID
+ * @returns {string[]} Skipped foods
  */
-export function clearFoodCache() {
-  if (existsSync(FOOD_CACHE_PATH)) {
-    try {
-      unlinkSync(FOOD_CACHE_PATH);
-      logger.info("Food cache cleared successfully");
-    } catch (error) {
-      logger.error(`Error clearing food cache: ${error.message}`);
+export function getSkippedFoods(chatId = DEFAULT_CACHE_KEY) {
+  const entry = loadFoodCache()[String(chatId)];
+  const now = new Date();
+
+  return (entry?.skipped || [])
+    .filter((skip) => isSkipValid(skip, now))
+    .map((skip) => skip.food);
+}
+
+/**
+ * Exclude a food from suggestions in a chat for the rest of the cache window
+ * @param {string} food - The food to skip
+ * @param {number|string} chatId - Chat ID
+ */
+export function skipFood(food, chatId = DEFAULT_CACHE_KEY) {
+  const cache = loadFoodCache();
+  const key = String(chatId);
+  const entry = cache[key] || {};
+
+  claimLegacyCache(cache, key);
+  entry.skipped = [
+    ...(entry.skipped || []),
+    { food, timestamp: new Date().toISOString() },
+  ];
+  cache[key] = entry;
+
+  writeFoodCache(cache);
+  logger.info(`Skipped food '${food}' in chat ${chatId}`);
+}
+
+/**
+ * Clear the cached food suggestion of a chat
+ * @param {number|string} chatId - Chat ID
+ */
+export function clearFoodCache(chatId = DEFAULT_CACHE_KEY) {
+  try {
+    const cache = loadFoodCache();
+    claimLegacyCache(cache, chatId);
+    delete cache[String(chatId)];
+    writeFoodCache(cache);
+    logger.info(`Food cache cleared successfully for chat ${chatId}`);
+  } catch (error) {
+    logger.error(`Error clearing food cache: ${error.message}`);
+  }
+}
+
+/**
+ * Clear the cache of every chat whose cached food is one of the given foods
+ * @param {string[]} foods - Foods that are no longer available
+ */
+function clearCachedFoods(foods) {
+  const foodsLower = foods.map((f) => f.toLowerCase());
+  const cache = loadFoodCache();
+  let changed = false;
+
+  for (const [chatId, entry] of Object.entries(cache)) {
+    if (entry?.food && foodsLower.includes(entry.food.toLowerCase())) {
+      // Keep the skipped foods of the chat, only drop the suggestion
+      cache[chatId] = { skipped: entry.skipped || [] };
+      changed = true;
+      logger.info(
+        `Cleared food cache of chat ${chatId} as removed food was currently cached`,
+      );
     }
   }
+
+  if (changed) {
+    writeFoodCache(cache);
+  }
 }
 
 /**
- * Load the list of foods from a text file
+ * Parse a food list line such as "Bún bò huế #noodle #spicy #soup"
+ * Plain lines without tags are valid too
+ * @param {string} line - Line of the food list
+ * @returns {{name: string, tags: string[]}} Food name and lowercase tags
+ */
+export function parseFoodLine(line) {
+  const tags = [];
+  const name = line
+    .replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (_, space, tag) => {
+      const tagLower = tag.toLowerCase();
+      if (!tags.includes(tagLower)) tags.push(tagLower);
+      return "";
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { name, tags };
+}
+
+/**
+ * Format a food entry back into a food list line
+ * @param {{name: string, tags: string[]}} entry - Food entry
+ * @returns {string} Line for the food list file
+ */
+export function formatFoodLine(entry) {
+  return [entry.name, ...entry.tags.map((tag) => `#${tag}`)].join(" ");
+}
+
+/**
+ * Load the foods and their tags from a text file
  * @param {string} filePath - Path to the food list file
- * @returns {string[]} List of food items
+ * @returns {{name: string, tags: string[]}[]} List of food entries
  */
-export function loadFoodList(filePath = FOOD_LIST_PATH) {
+export function loadFoodEntries(filePath = FOOD_LIST_PATH) {
   logger.info(`Loading food list from: ${filePath}`);
   logger.info(`File exists: ${existsSync(filePath)}`);
 
@@ -102,64 +343,207 @@ export function loadFoodList(filePath = FOOD_LIST_PATH) {
 
   try {
     const content = readFileSync(filePath, "utf-8");
-    const foods = content
+    const entries = content
       .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
+      .map((line) => parseFoodLine(line.trim()))
+      .filter((entry) => entry.name.length > 0);
 
-    logger.info(`Loaded ${foods.length} foods from list`);
-    return foods;
+    logger.info(`Loaded ${entries.length} foods from list`);
+    return entries;
   } catch (error) {
     logger.error(`Error loading food list: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Write food entries to the food list file
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @param {string} filePath - Path to the food list file
+ */
+function saveFoodEntries(entries, filePath = FOOD_LIST_PATH) {
+  ensureDirectoryExists(filePath);
+  writeFileSync(filePath, entries.map(formatFoodLine).join("\n"), "utf-8");
+}
+
+/**
+ * Replace the whole food list, e.g. after an import
+ * Chats whose cached suggestion is no longer in the list get a new one.
+ * @param {{name: string, tags: string[]}[]} entries - New food entries
+ * @param {string} filePath - Path to the food list file
+ */
+export function replaceFoodEntries(entries, filePath = FOOD_LIST_PATH) {
+  const names = new Set(entries.map((entry) => entry.name.toLowerCase()));
+  const removed = loadFoodList(filePath).filter(
+    (food) => !names.has(food.toLowerCase()),
+  );
+
+  saveFoodEntries(entries, filePath);
+  logger.info(`Replaced the food list with ${entries.length} foods`);
+
+  if (removed.length > 0) {
+    clearCachedFoods(removed);
+  }
+}
+
+/**
+ * Load the list of food names from a text file
+ * @param {string} filePath - Path to the food list file
+ * @returns {string[]} List of food items
+ */
+export function loadFoodList(filePath = FOOD_LIST_PATH) {
+  return loadFoodEntries(filePath).map((entry) => entry.name);
+}
+
+/**
+ * Parse tag filter arguments such as "noodle -spicy"
+ * @param {string} text - Space separated tags, "-" prefix excludes a tag
+ * @returns {{include: string[], exclude: string[]}} Tag filter
+ */
+export function parseTagFilter(text) {
+  const filter = { include: [], exclude: [] };
+
+  for (const token of (text || "").trim().split(/\s+/).filter(Boolean)) {
+    const tag = token.replace(/^[-#]+/, "").toLowerCase();
+    if (!tag) continue;
+
+    if (token.startsWith("-")) {
+      filter.exclude.push(tag);
+    } else {
+      filter.include.push(tag);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Keep the food entries matching a tag filter
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @param {{include: string[], exclude: string[]}|null} tagFilter - Tag filter
+ * @returns {{name: string, tags: string[]}[]} Entries having every included tag and no excluded tag
+ */
+export function filterFoodsByTags(entries, tagFilter) {
+  if (!tagFilter) return entries;
+
+  return entries.filter(
+    (entry) =>
+      tagFilter.include.every((tag) => entry.tags.includes(tag)) &&
+      !tagFilter.exclude.some((tag) => entry.tags.includes(tag)),
+  );
+}
+
+/**
+ * Count how many foods carry each tag
+ * @param {string} filePath - Path to the food list file
+ * @returns {{tag: string, count: number}[]} Tags sorted by count, then name
+ */
+export function getTagCounts(filePath = FOOD_LIST_PATH) {
+  const counts = new Map();
+
+  for (const entry of loadFoodEntries(filePath)) {
+    for (const tag of entry.tags) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+  );
+}
+
 /**
  * Get a random food from the food list
  * Will return the same food for 12 hours before selecting a new one, unless force_new is true
+ * A locked-in food is returned even if it does not match the tag filter
+ * The cache is kept separately for each chat, and foods skipped in the chat
+ * or still in their cooldown are left out
  * @param {string} filePath - Path to the food list file
  * @param {boolean} forceNew - If true, ignore cache and get a new random food
- * @returns {string|null} Random food item or null if list is empty
+ * @param {number|string} chatId - Chat ID the suggestion is cached for, see getSlotCacheKey
+ * @param {{include: string[], exclude: string[]}|null} tagFilter - Only suggest foods matching these tags
+ * @param {string|null} mealSlot - Only suggest foods fitting this meal slot
+ * @returns {string|null} Random food item or null if no food matches
  */
-export function getRandomFood(filePath = FOOD_LIST_PATH, forceNew = false) {
-  // Check cache first (unless forceNew is true)
-  if (!forceNew) {
-    const cache = loadFoodCache();
-    const now = new Date();
+export function getRandomFood(
+  filePath = FOOD_LIST_PATH,
+  forceNew = false,
+  chatId = DEFAULT_CACHE_KEY,
+  tagFilter = null,
+  mealSlot = null,
+) {
+  const entries = filterFoodsByTags(
+    filterFoodsByMealSlot(loadFoodEntries(filePath), mealSlot),
+    tagFilter,
+  );
+  const foods = entries.map((entry) => entry.name);
 
-    if (cache.food && cache.timestamp) {
-      const cachedTime = new Date(cache.timestamp);
-      const timeDiff = now.getTime() - cachedTime.getTime();
+  // Check cache first (unless forceNew is true), it must also match the tags
+  // unless the chat locked it in, only /newfood or /clearfood replace a lock
+  if (!forceNew) {
+    const cachedFood = getCachedFood(chatId);
 
-      // If cache is still valid (less than 12 hours old)
-      if (timeDiff < CACHE_DURATION_MS) {
-        logger.info(`Returning cached food: ${cache.food}`);
-        return cache.food;
-      }
+    if (
+      cachedFood &&
+      (!tagFilter || foods.includes(cachedFood) || isFoodCacheLocked(chatId))
+    ) {
+      logger.info(`Returning cached food for chat ${chatId}: ${cachedFood}`);
+      return cachedFood;
     }
   }
 
-  // Load foods and select a new one
-  const foods = loadFoodList(filePath);
+  // Select a new one from the matching foods
   if (foods.length === 0) {
     return null;
   }
 
+  // Leave out foods skipped in this chat, unless nothing would be left
+  const skipped = getSkippedFoods(chatId).map((f) => f.toLowerCase());
+  const candidates = foods.filter((f) => !skipped.includes(f.toLowerCase()));
+  const pool = excludeRecentFoods(
+    candidates.length > 0 ? candidates : foods,
+    chatId,
+  );
+
   // Select new random food
-  const randomIndex = Math.floor(Math.random() * foods.length);
-  const food = foods[randomIndex];
+  const randomIndex = Math.floor(Math.random() * pool.length);
+  const food = pool[randomIndex];
   logger.info(`Selected new random food: ${food}`);
 
   // Save to cache
-  saveFoodCache(food);
+  saveFoodCache(food, chatId);
 
   return food;
 }
 
+/**
+ * Pick several distinct random foods from the food list
+ * @param {number} count - Number of foods to pick
+ * @param {string} filePath - Path to the food list file
+ * @param {string|null} mealSlot - Only pick foods fitting this meal slot
+ * @returns {string[]} Up to count distinct foods in random order
+ */
+export function getRandomFoods(
+  count,
+  filePath = FOOD_LIST_PATH,
+  mealSlot = null,
+) {
+  const entries = filterFoodsByMealSlot(loadFoodEntries(filePath), mealSlot);
+  const foods = Array.from(new Set(entries.map((entry) => entry.name)));
+
+  // Partial Fisher-Yates shuffle
+  const picks = Math.min(count, foods.length);
+  for (let i = 0; i < picks; i++) {
+    const j = i + Math.floor(Math.random() * (foods.length - i));
+    [foods[i], foods[j]] = [foods[j], foods[i]];
+  }
+
+  return foods.slice(0, picks);
+}
+
 /**
  * Add a new food item to the food list
- * @param {string} food - The food item to add
+ * @param {string} food - The food item to add, optionally followed by #tags
  * @param {string} filePath - Path to the food list file
  * @returns {boolean} True if food was added successfully
  */
@@ -169,16 +553,20 @@ export function addFoodToList(food, filePath = FOOD_LIST_PATH) {
 
     // Check if the food already exists
     const existingFoods = loadFoodList(filePath);
-    const trimmedFood = food.trim();
+    const entry = parseFoodLine(food.trim());
 
-    if (existingFoods.includes(trimmedFood)) {
-      logger.info(`Food '${trimmedFood}' already exists in the list`);
+    if (!entry.name) {
+      return false;
+    }
+
+    if (existingFoods.includes(entry.name)) {
+      logger.info(`Food '${entry.name}' already exists in the list`);
       return false;
     }
 
     // Append the new food to the file
-    appendFileSync(filePath, `\n${trimmedFood}`, "utf-8");
-    logger.info(`Added new food '${trimmedFood}' to the list`);
+    appendFileSync(filePath, `\n${formatFoodLine(entry)}`, "utf-8");
+    logger.info(`Added new food '${entry.name}' to the list`);
     return true;
   } catch (error) {
     logger.error(`Error adding food to list: ${error.message}`);
@@ -190,14 +578,20 @@ export function addFoodToList(food, filePath = FOOD_LIST_PATH) {
  * Remove a food item from the food list
  * @param {string} food - The food item to remove
  * @param {string} filePath - Path to the food list file
- * @returns {{success: boolean, message: string}} Result object
+ * @param {Function} t - Translate function for the result message
+ * @returns {{success: boolean, message: string, food?: string, removed?: Object[]}} Result object with the removed food and entries
  */
-export function removeFoodFromList(food, filePath = FOOD_LIST_PATH) {
+export function removeFoodFromList(
+  food,
+  filePath = FOOD_LIST_PATH,
+  t = getTranslator(),
+) {
   try {
-    const existingFoods = loadFoodList(filePath);
+    const entries = loadFoodEntries(filePath);
+    const existingFoods = entries.map((entry) => entry.name);
 
     if (existingFoods.length === 0) {
-      return { success: false, message: "Food list is empty" };
+      return { success: false, message: t("removefood.emptyList") };
     }
 
     const trimmedFood = food.trim();
@@ -207,9 +601,9 @@ export function removeFoodFromList(food, filePath = FOOD_LIST_PATH) {
     const matches = existingFoods.filter((f) => f.toLowerCase() === foodLower);
 
     if (matches.length === 0) {
-      // Try to find partial matches
-      const partialMatches = existingFoods.filter((f) =>
-        f.toLowerCase().includes(foodLower),
+      // Try to find similar names, ignoring diacritics and small typos
+      const partialMatches = searchFoods(trimmedFood, entries).map(
+        (m) => m.name,
       );
 
       if (partialMatches.length > 0) {
@@ -219,54 +613,57 @@ export function removeFoodFromList(food, filePath = FOOD_LIST_PATH) {
           .join(", ");
         const moreText =
           partialMatches.length > 5
-            ? ` (and ${partialMatches.length - 5} more)`
+            ? t("removefood.andMore", { count: partialMatches.length - 5 })
             : "";
         return {
           success: false,
-          message: `Food '${food}' not found exactly. Did you mean one of: ${matchStr}${moreText}`,
+          message:
+            t("removefood.didYouMean", { food, matches: matchStr }) + moreText,
         };
       }
 
       return {
         success: false,
-        message: `Food '${food}' not found in the list`,
+        message: t("removefood.notFound", { food }),
       };
     }
 
     // Remove the exact match
-    const updatedFoods = existingFoods.filter(
-      (f) => f.toLowerCase() !== foodLower,
+    const updatedEntries = entries.filter(
+      (entry) => entry.name.toLowerCase() !== foodLower,
+    );
+    const removed = entries.filter(
+      (entry) => entry.name.toLowerCase() === foodLower,
     );
 
     // Write back to file
-    ensureDirectoryExists(filePath);
-    writeFileSync(filePath, updatedFoods.join("\n"), "utf-8");
+    saveFoodEntries(updatedEntries, filePath);
 
-    // If we've removed the current cached food, clear the cache
-    const cache = loadFoodCache();
-    if (
-      cache.food &&
-      matches.some((match) => match.toLowerCase() === cache.food.toLowerCase())
-    ) {
-      clearFoodCache();
-      logger.info("Cleared food cache as removed food was currently cached");
-    }
+    // If we've removed a currently cached food, clear those caches
+    clearCachedFoods(matches);
 
     logger.info(`Removed food '${matches[0]}' from the list`);
 
     if (matches.length > 1) {
       return {
         success: true,
-        message: `Removed ${matches.length} items matching '${food}'`,
+        message: t("removefood.removedMany", { count: matches.length, food }),
+        food: matches[0],
+        removed,
       };
     }
     return {
       success: true,
-      message: `Removed '${matches[0]}' from the food list`,
+      message: t("removefood.removed", { food: matches[0] }),
+      food: matches[0],
+      removed,
     };
   } catch (error) {
     logger.error(`Error removing food from list: ${error.message}`);
-    return { success: false, message: `Error removing food: ${error.message}` };
+    return {
+      success: false,
+      message: t("removefood.error", { error: error.message }),
+    };
   }
 }
 
@@ -274,18 +671,23 @@ export function removeFoodFromList(food, filePath = FOOD_LIST_PATH) {
  * Remove a food item from the food list by index
  * @param {number} index - The 1-based index of the food item to remove
  * @param {string} filePath - Path to the food list file
- * @returns {{success: boolean, message: string}} Result object
+ * @param {Function} t - Translate function for the result message
+ * @returns {{success: boolean, message: string, food?: string, removed?: Object[]}} Result object with the removed food and entry
  */
-export function removeFoodByIndex(index, filePath = FOOD_LIST_PATH) {
+export function removeFoodByIndex(
+  index,
+  filePath = FOOD_LIST_PATH,
+  t = getTranslator(),
+) {
   try {
-    const existingFoods = loadFoodList(filePath);
+    const existingFoods = loadFoodEntries(filePath);
 
     if (existingFoods.length === 0) {
-      return { success: false, message: "Food list is empty" };
+      return { success: false, message: t("removefood.emptyList") };
     }
 
     // Sort alphabetically to match the display order in /foodlist
-    existingFoods.sort();
+    sortFoodEntries(existingFoods);
 
     // Convert 1-based index to 0-based
     const zeroIndex = index - 1;
@@ -293,146 +695,717 @@ export function removeFoodByIndex(index, filePath = FOOD_LIST_PATH) {
     if (zeroIndex < 0 || zeroIndex >= existingFoods.length) {
       return {
         success: false,
-        message: `Invalid index. Please use a number between 1 and ${existingFoods.length}`,
+        message: t("removefood.invalidIndex", { max: existingFoods.length }),
       };
     }
 
-    const removedFood = existingFoods[zeroIndex];
+    const removedEntry = existingFoods[zeroIndex];
+    const removedFood = removedEntry.name;
 
     // Remove the food at the index
     existingFoods.splice(zeroIndex, 1);
 
     // Write back to file
-    ensureDirectoryExists(filePath);
-    writeFileSync(filePath, existingFoods.join("\n"), "utf-8");
+    saveFoodEntries(existingFoods, filePath);
 
-    // If we've removed the current cached food, clear the cache
-    const cache = loadFoodCache();
-    if (cache.food && cache.food.toLowerCase() === removedFood.toLowerCase()) {
-      clearFoodCache();
-      logger.info("Cleared food cache as removed food was currently cached");
-    }
+    // If we've removed a currently cached food, clear those caches
+    clearCachedFoods([removedFood]);
 
     logger.info(`Removed food '${removedFood}' from the list (index ${index})`);
 
     return {
       success: true,
-      message: `Removed '${removedFood}' from the food list`,
+      message: t("removefood.removed", { food: removedFood }),
+      food: removedFood,
+      removed: [removedEntry],
     };
   } catch (error) {
     logger.error(`Error removing food from list: ${error.message}`);
-    return { success: false, message: `Error removing food: ${error.message}` };
+    return {
+      success: false,
+      message: t("removefood.error", { error: error.message }),
+    };
   }
 }
 
+/**
+ * Sort food entries alphabetically by name, in place
+ * @param {{name: string, tags: string[]}[]} entries - Food entries
+ * @returns {{name: string, tags: string[]}[]} The same array, sorted
+ */
+export function sortFoodEntries(entries) {
+  return entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
 /**
  * Get all foods from the food list with optional formatting
  * @param {string} filePath - Path to the food list file
  * @param {boolean} numbered - If true, return a numbered list
+ * @param {Function} t - Translate function for the empty list text
  * @returns {{foods: string[], formattedText: string}} Foods and formatted text
  */
-export function getAllFoods(filePath = FOOD_LIST_PATH, numbered = false) {
-  const foods = loadFoodList(filePath);
-
-  if (foods.length === 0) {
-    return { foods: [], formattedText: "No foods available in the list." };
+export function getAllFoods(
+  filePath = FOOD_LIST_PATH,
+  numbered = false,
+  t = getTranslator(),
+) {
+  const entries = loadFoodEntries(filePath);
+
+  if (entries.length === 0) {
+    return { foods: [], formattedText: t("foodlist.empty") };
   }
 
   // Sort alphabetically
-  foods.sort();
+  sortFoodEntries(entries);
 
+  const lines = entries.map(formatFoodLine);
   let formattedText;
   if (numbered) {
-    formattedText = foods.map((food, i) => `${i + 1}. ${food}`).join("\n");
+    formattedText = lines.map((line, i) => `${i + 1}. ${line}`).join("\n");
   } else {
-    formattedText = foods.map((food) => `• ${food}`).join("\n");
+    formattedText = lines.map((line) => `• ${line}`).join("\n");
   }
 
-  return { foods, formattedText };
+  return { foods: entries.map((entry) => entry.name), formattedText };
 }
 
 /**
- * Check if a username is in the restricted list
- * @param {string} username - Username to check
- * @returns {boolean} True if the user is restricted
+ * Get the active restriction of a user
+ * @param {{id: number, username?: string}} user - Telegram user object
+ * @returns {Object|null} Restriction record or null if the user is not restricted
  */
-export function isRestrictedUser(username) {
-  if (!username) return false;
-
-  // Remove @ symbol if present
-  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
-  const usernameLower = cleanUsername.toLowerCase();
+export function getRestriction(user) {
+  if (!user) return null;
 
-  // Load from database (will initialize with legacy config if needed)
+  // Load from database (expired restrictions are lifted on load)
   const restrictedUsers = loadRestrictedUsersFromDB();
-
-  logger.info(
-    `Checking if user '${cleanUsername}' is in restricted list: ${restrictedUsers.join(", ")}`,
+  return (
+    restrictedUsers.find((record) => matchesUserRecord(record, user)) || null
   );
+}
 
-  const result = restrictedUsers.some(
-    (user) => user.toLowerCase() === usernameLower,
-  );
-  logger.info(
-    `Final result of restriction check for '${cleanUsername}': ${result}`,
-  );
+/**
+ * Check if a user is in the restricted list
+ * @param {{id: number, username?: string}} user - Telegram user object
+ * @returns {boolean} True if the user is restricted
+ */
+export function isRestrictedUser(user) {
+  const result = Boolean(getRestriction(user));
+
+  if (user) {
+    logger.info(
+      `Restriction check for ${formatUserLabel(user)} (ID ${user.id}): ${result}`,
+    );
+  }
 
   return result;
 }
 
+/**
+ * Build the message shown to a restricted user
+ * @param {Object} restriction - Restriction record
+ * @param {Function} t - Translate function
+ * @returns {string} Message with the remaining time and reason, if any
+ */
+export function formatRestrictionMessage(restriction, t = getTranslator()) {
+  let message = t("permission.restricted");
+
+  if (restriction.expiresAt) {
+    const remaining = new Date(restriction.expiresAt).getTime() - Date.now();
+    const duration = formatDuration(remaining);
+    message += `\n${t("permission.remaining", { duration })}`;
+  }
+  if (restriction.reason) {
+    message += `\n${t("permission.reason", { reason: restriction.reason })}`;
+  }
+
+  return message;
+}
+
 /**
  * Check if a user is restricted from using commands
  * @param {Object} bot - Telegram bot instance
  * @param {number} chatId - Chat ID to send message to
- * @param {string} username - Username to check
+ * @param {Object} user - Telegram user object
  * @returns {boolean} True if the user is restricted
  */
-export async function checkCommandRestriction(bot, chatId, username) {
-  logger.info(`Checking command restriction for user: ${username}`);
+export async function checkCommandRestriction(bot, chatId, user) {
+  const restriction = getRestriction(user);
 
-  if (isRestrictedUser(username)) {
-    logger.info(`User ${username} is restricted, sending VIP message`);
-    await bot.sendMessage(chatId, "Bạn cần nạp VIP để thực hiện lệnh này");
+  if (restriction) {
+    logger.info(
+      `User ${formatUserLabel(user)} is restricted, sending VIP message`,
+    );
+    await bot.sendMessage(
+      chatId,
+      formatRestrictionMessage(restriction, getChatTranslator(chatId, user)),
+    );
     return true;
   }
 
-  logger.info(`User ${username} is not restricted`);
   return false;
 }
 
+// ==================== SUGGESTION HISTORY ====================
+
+/**
+ * Load the suggestion history of all chats from JSON file
+ * @returns {Object<string, {food: string, timestamp: string}[]>} History keyed by chat ID, oldest first
+ */
+export function loadFoodHistory() {
+  if (!existsSync(FOOD_HISTORY_PATH)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(FOOD_HISTORY_PATH, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading food history: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Record the food suggested to a chat
+ * A new pick within the same cache window (reroll, /newfood, vote) of the
+ * same meal slot replaces the previous one, so the history holds what the
+ * chat settled on
+ * @param {string} food - The suggested food
+ * @param {number|string} chatId - Chat ID, may carry a meal slot (see getSlotCacheKey)
+ */
+export function recordFoodHistory(food, chatId = DEFAULT_CACHE_KEY) {
+  try {
+    const history = loadFoodHistory();
+    const { key, slot } = splitSlotCacheKey(chatId);
+    const entries = history[key] || [];
+    const now = new Date();
+    const lastIndex = entries.findLastIndex(
+      (entry) => (entry.slot || null) === slot,
+    );
+
+    if (
+      lastIndex !== -1 &&
+      now.getTime() - new Date(entries[lastIndex].timestamp).getTime() <
+        CACHE_DURATION_MS
+    ) {
+      entries.splice(lastIndex, 1);
+    }
+
+    entries.push({
+      food,
+      timestamp: now.toISOString(),
+      ...(slot && { slot }),
+    });
+    history[key] = entries.slice(-HISTORY_MAX_ENTRIES);
+
+    ensureDirectoryExists(FOOD_HISTORY_PATH);
+    writeFileSync(
+      FOOD_HISTORY_PATH,
+      JSON.stringify(history, null, 2),
+      "utf-8",
+    );
+  } catch (error) {
+    logger.error(`Error recording food history: ${error.message}`);
+  }
+}
+
+/**
+ * Get the suggestion history of a chat over all meal slots, newest first
+ * @param {number|string} chatId - Chat ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {{food: string, timestamp: string, slot?: string}[]} History entries
+ */
+export function getFoodHistory(
+  chatId = DEFAULT_CACHE_KEY,
+  limit = HISTORY_MAX_ENTRIES,
+) {
+  const entries = loadFoodHistory()[splitSlotCacheKey(chatId).key] || [];
+  return entries.slice(-limit).reverse();
+}
+
+/**
+ * Get the foods of a chat that are still in their cooldown, newest first
+ * A food is in cooldown if it was suggested within COOLDOWN_DAYS or is
+ * among the last COOLDOWN_PICKS suggestions
+ * @param {number|string} chatId - Chat ID
+ * @returns {string[]} Foods in cooldown, lowercase and without duplicates
+ */
+function getRecentFoods(chatId) {
+  const now = Date.now();
+  const recent = [];
+
+  getFoodHistory(chatId).forEach((entry, i) => {
+    const ageDays = (now - new Date(entry.timestamp).getTime()) / 86400000;
+    const inCooldown = ageDays < COOLDOWN_DAYS || i < COOLDOWN_PICKS;
+    const foodLower = entry.food.toLowerCase();
+
+    if (inCooldown && !recent.includes(foodLower)) {
+      recent.push(foodLower);
+    }
+  });
+
+  return recent;
+}
+
+/**
+ * Remove foods in cooldown from a candidate pool
+ * If that would empty the pool, only the most recent foods are removed, so
+ * the food eaten longest ago becomes available first
+ * @param {string[]} foods - Candidate foods
+ * @param {number|string} chatId - Chat ID
+ * @returns {string[]} Remaining candidates, never empty if foods is not
+ */
+function excludeRecentFoods(foods, chatId) {
+  const recent = getRecentFoods(chatId);
+
+  for (let count = recent.length; count > 0; count--) {
+    const excluded = recent.slice(0, count);
+    const pool = foods.filter((f) => !excluded.includes(f.toLowerCase()));
+
+    if (pool.length > 0) {
+      if (count < recent.length) {
+        logger.info(
+          `Cooldown relaxed to the last ${count} foods for chat ${chatId}`,
+        );
+      }
+      return pool;
+    }
+  }
+
+  return foods;
+}
+
+/**
+ * Format a timestamp as a date in TIMEZONE, e.g. "Mon 2026-10-19"
+ * @param {string|Date} timestamp - Timestamp to format
+ * @param {string} lang - Language of the weekday name
+ * @returns {string} Formatted date
+ */
+export function formatDate(timestamp, lang = "en") {
+  const date = new Date(timestamp);
+  const day = new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+  const weekday = new Intl.DateTimeFormat(lang, {
+    timeZone: TIMEZONE,
+    weekday: "short",
+  }).format(date);
+
+  return `${weekday} ${day}`;
+}
+
+// ==================== MONEY ====================
+
+/**
+ * Parse a money amount such as "45000", "45.000", "45,000" or "45k"
+ * @param {string} text - Amount text
+ * @returns {number|null} Amount in VND or null if invalid
+ */
+export function parseAmount(text) {
+  if (!text) return null;
+
+  const match = text.trim().toLowerCase().match(/^(\d+(?:[.,]\d+)*)(k)?$/);
+  if (!match) return null;
+
+  let amount;
+  if (match[2]) {
+    // With "k" suffix a separator is a decimal point (e.g. 45.5k)
+    amount = parseFloat(match[1].replace(",", ".")) * 1000;
+  } else {
+    amount = parseInt(match[1].replace(/[.,]/g, ""), 10);
+  }
+
+  amount = Math.round(amount);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Format an amount in VND for display
+ * @param {number} amount - Amount in VND
+ * @returns {string} Formatted amount, e.g. "45.000đ"
+ */
+export function formatAmount(amount) {
+  return `${Math.round(amount).toLocaleString("vi-VN")}đ`;
+}
+
+/**
+ * Normalize a username for comparisons and storage (no @, lowercase)
+ * @param {string} username - Username with or without @
+ * @returns {string} Normalized username
+ */
+export function normalizeUsername(username) {
+  if (!username) return "";
+  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
+  return cleanUsername.toLowerCase();
+}
+
+// ==================== USER DIRECTORY ====================
+
+/**
+ * Load the directory of users seen by the bot
+ * @param {string} filePath - Path to the users database file
+ * @returns {Object<string, {username: string|null, firstName: string}>} Users keyed by Telegram user ID
+ */
+export function loadUserDirectory(filePath = USERS_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading user directory: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the directory of users seen by the bot
+ * @param {Object} directory - Users keyed by Telegram user ID
+ * @param {string} filePath - Path to the users database file
+ */
+export function saveUserDirectory(directory, filePath = USERS_DB_PATH) {
+  ensureDirectoryExists(filePath);
+  writeFileSync(filePath, JSON.stringify(directory, null, 2), "utf-8");
+}
+
+/**
+ * Find the ID of a user by the last username they were seen with
+ * @param {string} username - Username with or without @
+ * @returns {number|null} Telegram user ID or null if unknown
+ */
+export function findUserIdByUsername(username) {
+  const usernameLower = normalizeUsername(username);
+  if (!usernameLower) return null;
+
+  const match = Object.entries(loadUserDirectory()).find(
+    ([, entry]) => normalizeUsername(entry.username) === usernameLower,
+  );
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Format a user or user record for display
+ * @param {{id: number|null, username?: string|null, api?: boolean}} user - User or record
+ * @returns {string} "@username", "ID 123" when there is no username, or "admin API" for the API actor
+ */
+export function formatUserLabel(user) {
+  if (user.api) return "admin API";
+  return user.username ? `@${user.username}` : `ID ${user.id}`;
+}
+
+/**
+ * Check whether a stored admin/restricted record refers to a user
+ * Records with an ID match by ID only, so changing or removing the username
+ * does not matter; records without an ID yet (legacy) match by username
+ * @param {{id: number|null, username: string|null}} record - Stored record
+ * @param {{id: number, username?: string}} user - Telegram user object
+ * @returns {boolean} True if the record refers to the user
+ */
+function matchesUserRecord(record, user) {
+  if (record.id !== null && record.id !== undefined) {
+    return record.id === user.id;
+  }
+
+  return (
+    Boolean(record.username && user.username) &&
+    normalizeUsername(record.username) === normalizeUsername(user.username)
+  );
+}
+
+/**
+ * Find the index of the record referring to a target user
+ * @param {Object[]} records - Stored records
+ * @param {{id: number|null, username: string|null}} target - Target user
+ * @returns {number} Index of the record or -1
+ */
+function findUserRecordIndex(records, target) {
+  return records.findIndex(
+    (record) =>
+      (target.id !== null && record.id === target.id) ||
+      (Boolean(record.username && target.username) &&
+        normalizeUsername(record.username) ===
+          normalizeUsername(target.username)),
+  );
+}
+
+/**
+ * Convert stored entries to {id, username} records
+ * Legacy entries are plain usernames; their ID is looked up in the user
+ * directory and left null until the user is seen
+ * @param {Array<string|Object>} list - Stored entries
+ * @returns {{records: {id: number|null, username: string|null}[], migrated: boolean}} Records and whether any legacy entry got an ID
+ */
+function normalizeUserRecords(list) {
+  let migrated = false;
+
+  const records = list
+    .map((entry) => {
+      if (typeof entry === "string") {
+        const username = entry.trim().replace(/^@/, "");
+        if (!username) return null;
+
+        const id = findUserIdByUsername(username);
+        if (id !== null) migrated = true;
+        return { id, username };
+      }
+      if (entry && typeof entry === "object") {
+        return {
+          ...entry,
+          id: typeof entry.id === "number" ? entry.id : null,
+          username: entry.username || null,
+        };
+      }
+      return null;
+    })
+    .filter((record) => record && (record.id !== null || record.username));
+
+  return { records, migrated };
+}
+
+/**
+ * Bind records without an ID to a user seen with their username, and keep
+ * the username labels of records with an ID up to date
+ * @param {Object[]} records - Stored records, updated in place
+ * @param {{id: number, username?: string}} user - Telegram user object
+ * @returns {boolean} True if any record changed
+ */
+function bindUserRecords(records, user) {
+  let changed = false;
+
+  for (const record of records) {
+    if (record.id === null && matchesUserRecord(record, user)) {
+      record.id = user.id;
+      changed = true;
+      logger.info(`Bound ${formatUserLabel(record)} to user ID ${user.id}`);
+    } else if (
+      record.id === user.id &&
+      user.username &&
+      record.username !== user.username
+    ) {
+      record.username = user.username;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Remember a user seen in an update, and migrate username-based admin and
+ * restricted entries to the user's ID
+ * @param {{id: number, username?: string, first_name?: string, is_bot?: boolean}} user - Telegram user object
+ */
+export function rememberUser(user) {
+  if (!user || !user.id || user.is_bot) return;
+
+  try {
+    const directory = loadUserDirectory();
+    const key = String(user.id);
+    const entry = directory[key];
+    const username = user.username || null;
+
+    if (
+      !entry ||
+      entry.username !== username ||
+      entry.firstName !== user.first_name
+    ) {
+      directory[key] = { username, firstName: user.first_name || "" };
+      saveUserDirectory(directory);
+    }
+
+    const admins = loadAdmins();
+    if (bindUserRecords(admins, user)) {
+      saveAdmins(admins);
+    }
+
+    const restricted = loadRestrictedUsersFromDB();
+    if (bindUserRecords(restricted, user)) {
+      saveRestrictedUsersToDB(restricted);
+    }
+  } catch (error) {
+    logger.error(`Error remembering user ${user.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Remember every user appearing in a message: the sender, the author of the
+ * replied message and users in text mentions
+ * @param {Object} msg - Telegram message
+ */
+export function rememberUsersFromMessage(msg) {
+  rememberUser(msg.from);
+  rememberUser(msg.reply_to_message?.from);
+
+  for (const entity of msg.entities || []) {
+    if (entity.type === "text_mention") {
+      rememberUser(entity.user);
+    }
+  }
+}
+
+/**
+ * Resolve the user targeted by an admin command and the remaining arguments
+ * The target is taken from, in order: a text mention, "@username" or a
+ * numeric ID as first argument, or the author of the replied message.
+ * An unknown @username is returned without ID, see addAdmin.
+ * @param {Object} msg - Telegram message with the command
+ * @param {string} arg - Command arguments
+ * @returns {{target: {id: number|null, username: string|null}|null, rest: string}} Target user (or null) and the arguments after it
+ */
+export function resolveTargetAndArgs(msg, arg) {
+  const text = (arg || "").trim();
+  const [token = "", ...restTokens] = text.split(/\s+/);
+  const rest = restTokens.join(" ");
+
+  // Only a mention where the arguments start is the target, the arguments
+  // are the end of the message text
+  const argOffset = text ? (msg.text || "").lastIndexOf(text) : -1;
+  const mention = (msg.entities || []).find(
+    (entity) => entity.type === "text_mention" && entity.offset === argOffset,
+  );
+  if (mention) {
+    return {
+      target: { id: mention.user.id, username: mention.user.username || null },
+      rest: msg.text.slice(mention.offset + mention.length).trim(),
+    };
+  }
+
+  if (/^@\w+$/.test(token)) {
+    const username = token.slice(1);
+    const id = findUserIdByUsername(username);
+    const known = id !== null ? loadUserDirectory()[String(id)] : null;
+    return { target: { id, username: known?.username || username }, rest };
+  }
+
+  if (/^\d+$/.test(token)) {
+    const username = loadUserDirectory()[token]?.username || null;
+    return { target: { id: Number(token), username }, rest };
+  }
+
+  const replied = msg.reply_to_message?.from;
+  if (replied && !replied.is_bot) {
+    return {
+      target: { id: replied.id, username: replied.username || null },
+      rest: text,
+    };
+  }
+
+  return { target: null, rest: text };
+}
+
+/**
+ * Resolve the user targeted by an admin command
+ * @param {Object} msg - Telegram message with the command
+ * @param {string} arg - Command arguments
+ * @returns {{id: number|null, username: string|null}|null} Target user or null
+ */
+export function resolveTargetUser(msg, arg) {
+  return resolveTargetAndArgs(msg, arg).target;
+}
+
+// ==================== DURATIONS ====================
+
+// Milliseconds per duration unit
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as "30m", "2h", "7d" or "1h30m"
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in milliseconds or null if invalid
+ */
+export function parseDuration(text) {
+  const value = (text || "").toLowerCase();
+  if (!/^(\d+[mhd])+$/.test(value)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)([mhd])/g)) {
+    total += parseInt(amount, 10) * DURATION_UNITS[unit];
+  }
+
+  return total > 0 ? total : null;
+}
+
+/**
+ * Format a duration for display, e.g. "1d 2h" or "45m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration, rounded up to the minute
+ */
+export function formatDuration(ms) {
+  let minutes = Math.max(1, Math.ceil(ms / DURATION_UNITS.m));
+  const days = Math.floor(minutes / 1440);
+  minutes -= days * 1440;
+  const hours = Math.floor(minutes / 60);
+  minutes -= hours * 60;
+
+  return [
+    days ? `${days}d` : "",
+    hours ? `${hours}h` : "",
+    minutes ? `${minutes}m` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
 // ==================== ADMIN MANAGEMENT ====================
 
 /**
  * Load admin list from JSON file
+ * Admins from DEFAULT_ADMINS are included until they have been bound to an ID
  * @param {string} filePath - Path to the admin database file
- * @returns {string[]} Array of admin usernames
+ * @returns {{id: number|null, username: string|null}[]} Admin records
  */
 export function loadAdmins(filePath = ADMIN_DB_PATH) {
-  if (!existsSync(filePath)) {
-    return [...DEFAULT_ADMINS];
+  let admins = [];
+  let migrated = false;
+
+  if (existsSync(filePath)) {
+    try {
+      const data = JSON.parse(readFileSync(filePath, "utf-8"));
+      ({ records: admins, migrated } = normalizeUserRecords(
+        Array.isArray(data) ? data : [],
+      ));
+    } catch (error) {
+      logger.error(`Error loading admins: ${error.message}`);
+    }
   }
 
-  try {
-    const data = readFileSync(filePath, "utf-8");
-    const admins = JSON.parse(data);
-    const list = Array.isArray(admins) ? admins : [];
-    // Ensure defaults are always present
-    return Array.from(
-      new Set(
-        [...DEFAULT_ADMINS, ...list].map((u) =>
-          typeof u === "string" ? u.trim() : "",
-        ),
-      ),
-    ).filter(Boolean);
-  } catch (error) {
-    logger.error(`Error loading admins: ${error.message}`);
-    return [...DEFAULT_ADMINS];
+  // Ensure defaults are always present
+  for (const username of DEFAULT_ADMINS) {
+    const configured = admins.some(
+      (record) =>
+        record.configUsername === username ||
+        normalizeUsername(record.username) === normalizeUsername(username),
+    );
+
+    if (!configured) {
+      const id = findUserIdByUsername(username);
+      if (id !== null) migrated = true;
+      admins.push({ id, username, configUsername: username });
+    }
+  }
+
+  // Persist IDs found for legacy entries so later renames cannot unbind them
+  if (migrated) {
+    saveAdmins(admins, filePath);
+    logger.info("Migrated admin usernames to user IDs");
   }
+
+  return admins;
 }
 
 /**
  * Save admin list to JSON file
- * @param {string[]} admins - Array of admin usernames
+ * @param {Object[]} admins - Admin records
  * @param {string} filePath - Path to the admin database file
  */
 export function saveAdmins(admins, filePath = ADMIN_DB_PATH) {
@@ -441,84 +1414,92 @@ export function saveAdmins(admins, filePath = ADMIN_DB_PATH) {
 }
 
 /**
- * Check if a user is an admin by username
- * @param {string} username - Telegram username
+ * Check if a user is an admin
+ * @param {{id: number, username?: string}} user - Telegram user object
  * @returns {boolean} True if the user is an admin
  */
-export function isAdmin(username) {
-  if (!username) return false;
-
-  const admins = loadAdmins();
-  const cleanUsername = username.startsWith("@")
-    ? username.slice(1).toLowerCase()
-    : username.toLowerCase();
+export function isAdmin(user) {
+  if (!user) return false;
 
-  return admins.some((u) => u.toLowerCase() === cleanUsername);
+  return loadAdmins().some((record) => matchesUserRecord(record, user));
 }
 
 /**
- * Add a new admin by username
- * @param {string} username - Telegram username
+ * Add a new admin
+ * @param {{id: number|null, username: string|null}} target - User to promote
+ * @param {Function} t - Translate function for the result message
  * @returns {{success: boolean, message: string}} Result object
  */
-export function addAdmin(username) {
-  if (!username) {
-    return { success: false, message: "Please provide a username" };
+export function addAdmin(target, t = getTranslator()) {
+  if (!target) {
+    return { success: false, message: t("admins.missingUser") };
   }
 
-  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
+  const label = formatUserLabel(target);
+
+  // A record without an ID would go to whoever shows up with the username
+  if (target.id === null) {
+    return {
+      success: false,
+      message: t("admins.unknownUser", { user: label }),
+    };
+  }
   const admins = loadAdmins();
-  const usernameLower = cleanUsername.toLowerCase();
 
-  if (admins.some((u) => u.toLowerCase() === usernameLower)) {
-    return { success: false, message: `@${cleanUsername} is already an admin` };
+  if (findUserRecordIndex(admins, target) !== -1) {
+    return {
+      success: false,
+      message: t("admins.alreadyAdmin", { user: label }),
+    };
   }
 
   // Remove from restricted list if present
   const restricted = loadRestrictedUsersFromDB();
-  const restrictedIndex = restricted.findIndex(
-    (u) => u.toLowerCase() === usernameLower,
-  );
+  const restrictedIndex = findUserRecordIndex(restricted, target);
   if (restrictedIndex !== -1) {
     restricted.splice(restrictedIndex, 1);
     saveRestrictedUsersToDB(restricted);
-    logger.info(`Removed @${cleanUsername} from restricted users when adding as admin`);
+    logger.info(`Removed ${label} from restricted users when adding as admin`);
   }
 
-  admins.push(cleanUsername);
+  admins.push({ id: target.id, username: target.username });
   saveAdmins(admins);
-  logger.info(`Added admin: ${cleanUsername}`);
-  return { success: true, message: `👑 Added @${cleanUsername} as admin` };
+  logger.info(`Added admin: ${label} (ID ${target.id})`);
+  return { success: true, message: t("admins.added", { user: label }) };
 }
 
 /**
- * Remove an admin by username
- * @param {string} username - Telegram username
- * @returns {{success: boolean, message: string}} Result object
+ * Remove an admin
+ * @param {{id: number|null, username: string|null}} target - User to demote
+ * @param {Function} t - Translate function for the result message
+ * @returns {{success: boolean, message: string, record?: Object}} Result object with the removed admin record
  */
-export function removeAdmin(username) {
-  if (!username) {
-    return { success: false, message: "Please provide a username" };
+export function removeAdmin(target, t = getTranslator()) {
+  if (!target) {
+    return { success: false, message: t("admins.missingUser") };
   }
 
-  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
+  const label = formatUserLabel(target);
   const admins = loadAdmins();
-  const usernameLower = cleanUsername.toLowerCase();
-  const index = admins.findIndex((u) => u.toLowerCase() === usernameLower);
+  const index = findUserRecordIndex(admins, target);
 
   if (index === -1) {
-    return { success: false, message: `@${cleanUsername} is not an admin` };
+    return { success: false, message: t("admins.notAdmin", { user: label }) };
   }
 
-  admins.splice(index, 1);
+  const [record] = admins.splice(index, 1);
   saveAdmins(admins);
-  logger.info(`Removed admin: ${cleanUsername}`);
-  return { success: true, message: `Removed @${cleanUsername} from admins` };
+  logger.info(`Removed admin: ${label}`);
+  return {
+    success: true,
+    message: t("admins.removed", { user: label }),
+    record,
+  };
 }
 
 /**
  * Get list of all admins
- * @returns {string[]} Array of admin usernames
+ * @returns {{id: number|null, username: string|null}[]} Admin records
  */
 export function getAllAdmins() {
   return loadAdmins();
@@ -532,11 +1513,12 @@ export function getAllAdmins() {
  * @returns {boolean} True if the user is NOT an admin (restricted)
  */
 export async function checkAdminPermission(bot, chatId, user) {
-  const hasPermission = isAdmin(user.username);
+  const hasPermission = isAdmin(user);
 
   if (!hasPermission) {
-    logger.info(`User ${user.username || user.id} attempted admin command without permission`);
-    await bot.sendMessage(chatId, "⛔ Bạn không có quyền thực hiện lệnh này. Chỉ admin mới được phép.");
+    logger.info(`User ${formatUserLabel(user)} attempted admin command without permission`);
+    const t = getChatTranslator(chatId, user);
+    await bot.sendMessage(chatId, t("permission.adminOnly"));
     return true; // Return true to indicate user is restricted
   }
 
@@ -546,9 +1528,9 @@ export async function checkAdminPermission(bot, chatId, user) {
 // ==================== RESTRICTED USERS MANAGEMENT ====================
 
 /**
- * Load restricted users from JSON file
+ * Load restricted users from JSON file, lifting expired restrictions
  * @param {string} filePath - Path to the restricted users database file
- * @returns {string[]} Array of restricted usernames
+ * @returns {{id: number|null, username: string|null}[]} Restricted user records
  */
 export function loadRestrictedUsersFromDB(filePath = RESTRICTED_USERS_DB_PATH) {
   if (!existsSync(filePath)) {
@@ -560,7 +1542,30 @@ export function loadRestrictedUsersFromDB(filePath = RESTRICTED_USERS_DB_PATH) {
   try {
     const data = readFileSync(filePath, "utf-8");
     const list = JSON.parse(data);
-    return Array.isArray(list) ? list : [];
+    const { records, migrated } = normalizeUserRecords(
+      Array.isArray(list) ? list : [],
+    );
+
+    // Lift restrictions whose time has passed
+    const now = Date.now();
+    const active = records.filter((record) => {
+      const expired =
+        record.expiresAt && new Date(record.expiresAt).getTime() <= now;
+      if (expired) {
+        logger.info(`Restriction of ${formatUserLabel(record)} expired`);
+      }
+      return !expired;
+    });
+
+    // Persist IDs found for legacy entries so later renames cannot unbind them
+    if (migrated || active.length !== records.length) {
+      saveRestrictedUsersToDB(active, filePath);
+    }
+    if (migrated) {
+      logger.info("Migrated restricted usernames to user IDs");
+    }
+
+    return active;
   } catch (error) {
     logger.error(`Error loading restricted users: ${error.message}`);
     return [];
@@ -569,7 +1574,7 @@ export function loadRestrictedUsersFromDB(filePath = RESTRICTED_USERS_DB_PATH) {
 
 /**
  * Save restricted users to JSON file
- * @param {string[]} users - Array of restricted usernames
+ * @param {Object[]} users - Restricted user records
  * @param {string} filePath - Path to the restricted users database file
  */
 export function saveRestrictedUsersToDB(users, filePath = RESTRICTED_USERS_DB_PATH) {
@@ -578,66 +1583,111 @@ export function saveRestrictedUsersToDB(users, filePath = RESTRICTED_USERS_DB_PA
 }
 
 /**
- * Add a user to the restricted list
- * @param {string} username - Username to restrict
- * @returns {{success: boolean, message: string}} Result object
+ * Add a user to the restricted list, or update their restriction
+ * @param {{id: number|null, username: string|null}} target - User to restrict
+ * @param {{durationMs?: number|null, reason?: string, restrictedBy?: string}} options - Duration (permanent if not set), reason and restricting admin
+ * @param {Function} t - Translate function for the result message
+ * @returns {{success: boolean, message: string, previous?: Object|null, record?: Object}} Result object with the previous and new restriction
  */
-export function addRestrictedUser(username) {
-  if (!username) {
-    return { success: false, message: "Please provide a username" };
+export function addRestrictedUser(target, options = {}, t = getTranslator()) {
+  if (!target) {
+    return { success: false, message: t("admins.missingUser") };
   }
 
-  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
+  const { durationMs = null, reason = "", restrictedBy = null } = options;
+  const label = formatUserLabel(target);
+
+  if (target.id === null) {
+    return {
+      success: false,
+      message: t("admins.unknownUser", { user: label }),
+    };
+  }
   const users = loadRestrictedUsersFromDB();
-  const usernameLower = cleanUsername.toLowerCase();
+  const now = new Date();
+
+  const record = {
+    id: target.id,
+    username: target.username,
+    reason: reason.trim(),
+    restrictedBy,
+    restrictedAt: now.toISOString(),
+    expiresAt: durationMs
+      ? new Date(now.getTime() + durationMs).toISOString()
+      : null,
+  };
 
-  if (users.some((u) => u.toLowerCase() === usernameLower)) {
-    return { success: false, message: `@${cleanUsername} is already restricted` };
+  const existingIndex = findUserRecordIndex(users, target);
+  const previous = existingIndex !== -1 ? users[existingIndex] : null;
+  if (existingIndex !== -1) {
+    users[existingIndex] = { ...users[existingIndex], ...record };
+  } else {
+    users.push(record);
   }
 
   // If user is an admin, remove from admins before restricting
   const admins = loadAdmins();
-  const adminIndex = admins.findIndex((u) => u.toLowerCase() === usernameLower);
+  const adminIndex = findUserRecordIndex(admins, target);
   if (adminIndex !== -1) {
     admins.splice(adminIndex, 1);
     saveAdmins(admins);
-    logger.info(`Removed @${cleanUsername} from admins when restricting`);
+    logger.info(`Removed ${label} from admins when restricting`);
   }
 
-  users.push(cleanUsername);
   saveRestrictedUsersToDB(users);
-  logger.info(`Added restricted user: ${cleanUsername}`);
-  return { success: true, message: `🚫 Đã hạn chế @${cleanUsername}` };
+  logger.info(
+    `Restricted user: ${label} (ID ${target.id}) for ${durationMs ? formatDuration(durationMs) : "ever"}`,
+  );
+
+  let message = t(
+    existingIndex !== -1 ? "restrict.updated" : "restrict.added",
+    { user: label },
+  );
+  message += durationMs
+    ? t("restrict.forDuration", { duration: formatDuration(durationMs) })
+    : t("restrict.permanent");
+  if (record.reason) {
+    message += `\n${t("permission.reason", { reason: record.reason })}`;
+  }
+
+  return { success: true, message, previous, record };
 }
 
 /**
  * Remove a user from the restricted list
- * @param {string} username - Username to unrestrict
- * @returns {{success: boolean, message: string}} Result object
+ * @param {{id: number|null, username: string|null}} target - User to unrestrict
+ * @param {Function} t - Translate function for the result message
+ * @returns {{success: boolean, message: string, record?: Object}} Result object with the lifted restriction
  */
-export function removeRestrictedUser(username) {
-  if (!username) {
-    return { success: false, message: "Please provide a username" };
+export function removeRestrictedUser(target, t = getTranslator()) {
+  if (!target) {
+    return { success: false, message: t("admins.missingUser") };
   }
 
-  const cleanUsername = username.startsWith("@") ? username.slice(1) : username;
+  const label = formatUserLabel(target);
   const users = loadRestrictedUsersFromDB();
-  const usernameLower = cleanUsername.toLowerCase();
-  const index = users.findIndex((u) => u.toLowerCase() === usernameLower);
+  const index = findUserRecordIndex(users, target);
 
   if (index === -1) {
-    return { success: false, message: `@${cleanUsername} is not in the restricted list` };
+    return {
+      success: false,
+      message: t("unrestrict.notRestricted", { user: label }),
+    };
   }
 
-  users.splice(index, 1);
+  const [record] = users.splice(index, 1);
   saveRestrictedUsersToDB(users);
-  logger.info(`Removed restricted user: ${cleanUsername}`);
-  return { success: true, message: `✅ Đã bỏ hạn chế @${cleanUsername}` };
+  logger.info(`Removed restricted user: ${label}`);
+  return {
+    success: true,
+    message: t("unrestrict.done", { user: label }),
+    record,
+  };
 }
 
 /**
  * Get list of all restricted users
- * @returns {string[]} Array of restricted usernames
+ * @returns {{id: number|null, username: string|null}[]} Restricted user records
  */
 export function getAllRestrictedUsers() {
   return loadRestrictedUsersFromDB();
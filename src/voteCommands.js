@@ -0,0 +1,214 @@
+import {
+  logger,
+  isAdmin,
+  getRandomFoods,
+  saveFoodCache,
+  parseDuration,
+  formatDuration,
+} from "./utils.js";
+import { VOTE_DEFAULT_OPTIONS, VOTE_DURATION } from "./config.js";
+import { getChatTranslator } from "./i18n.js";
+import { getFoodList } from "./foodLists.js";
+import { getCurrentMealSlot, getSlotCacheKey } from "./mealSlots.js";
+import {
+  loadVotes,
+  getVote,
+  openVote,
+  removeVote,
+  pickWinner,
+} from "./votes.js";
+
+// Telegram polls accept between 2 and 10 options
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+// Telegram limits poll option text to 100 characters
+const MAX_OPTION_LENGTH = 100;
+
+// Votes stay open for at most a day
+const MAX_VOTE_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Timers closing the open votes, keyed by chat ID
+const closeTimers = new Map();
+
+/**
+ * Close the open vote of a chat and announce the winner
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number|string} chatId - Chat ID
+ */
+async function closeVote(bot, chatId) {
+  clearTimeout(closeTimers.get(String(chatId)));
+  closeTimers.delete(String(chatId));
+
+  const vote = removeVote(chatId);
+  if (!vote) return;
+
+  let poll;
+  try {
+    poll = await bot.stopPoll(vote.chatId, vote.messageId);
+  } catch (error) {
+    logger.error(`Error stopping poll in chat ${chatId}: ${error.message}`);
+    return;
+  }
+
+  const winner = pickWinner(vote.candidates, poll);
+  const t = getChatTranslator(vote.chatId);
+
+  if (!winner) {
+    await bot.sendMessage(vote.chatId, t("vote.noVotes"), {
+      reply_to_message_id: vote.messageId,
+    });
+    return;
+  }
+
+  const list = getFoodList(vote.chatId, vote.list);
+  saveFoodCache(winner.food, getSlotCacheKey(list.cacheKey, vote.slot));
+  logger.info(`Vote in chat ${chatId} won by ${winner.food}`);
+
+  await bot.sendMessage(
+    vote.chatId,
+    t("vote.winner", { food: winner.food, count: winner.votes }),
+    { reply_to_message_id: vote.messageId },
+  );
+}
+
+/**
+ * Close a vote automatically when its time is up
+ * A vote whose time passed while the bot was down is closed right away
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} vote - Open vote
+ */
+function scheduleClose(bot, vote) {
+  const delay = Math.max(0, new Date(vote.closesAt).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    closeTimers.delete(String(vote.chatId));
+    closeVote(bot, vote.chatId).catch((error) =>
+      logger.error(`Error closing vote: ${error.message}`),
+    );
+  }, delay);
+
+  closeTimers.set(String(vote.chatId), timer);
+}
+
+/**
+ * Parse the arguments of /vote: a number of options and a duration, both
+ * optional and in any order, e.g. "5 15m"
+ * @param {string} args - Command arguments
+ * @returns {{count: number, durationMs: number}|null} Options or null if invalid
+ */
+function parseVoteArgs(args) {
+  let requested = VOTE_DEFAULT_OPTIONS;
+  let durationMs = parseDuration(VOTE_DURATION);
+
+  for (const token of args.split(/\s+/).filter(Boolean)) {
+    if (/^\d+$/.test(token)) {
+      requested = parseInt(token, 10);
+    } else {
+      durationMs = parseDuration(token);
+      if (!durationMs || durationMs > MAX_VOTE_DURATION_MS) return null;
+    }
+  }
+
+  return {
+    count: Math.min(Math.max(requested, MIN_POLL_OPTIONS), MAX_POLL_OPTIONS),
+    durationMs,
+  };
+}
+
+/**
+ * Register group voting commands with the bot
+ * Open votes are kept on disk, so they are closed after a restart too
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} router - Command router
+ */
+export function registerVoteCommands(bot, router) {
+  for (const vote of Object.values(loadVotes())) {
+    scheduleClose(bot, vote);
+  }
+
+  /**
+   * Start a poll between n random foods of the active list that fit the
+   * current meal slot
+   */
+  router.register({
+    name: "vote",
+    args: "[n] [duration]",
+    description: "commands.vote",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const options = parseVoteArgs(args);
+      if (!options) {
+        await bot.sendMessage(chatId, t("vote.usage"));
+        return;
+      }
+
+      if (getVote(chatId)) {
+        await bot.sendMessage(chatId, t("vote.alreadyRunning"));
+        return;
+      }
+
+      const list = getFoodList(chatId);
+      const slot = getCurrentMealSlot();
+      const candidates = getRandomFoods(options.count, list.path, slot);
+
+      if (candidates.length < MIN_POLL_OPTIONS) {
+        await bot.sendMessage(chatId, t("vote.notEnoughFoods"));
+        return;
+      }
+
+      const pollMessage = await bot.sendPoll(
+        chatId,
+        t("vote.question", { duration: formatDuration(options.durationMs) }),
+        candidates.map((food) => ({
+          text: food.slice(0, MAX_OPTION_LENGTH),
+        })),
+        { is_anonymous: false },
+      );
+
+      const vote = {
+        chatId,
+        messageId: pollMessage.message_id,
+        candidates,
+        list: list.name,
+        slot,
+        startedBy: user.id,
+        closesAt: new Date(Date.now() + options.durationMs).toISOString(),
+      };
+      openVote(vote);
+      scheduleClose(bot, vote);
+
+      logger.info(
+        `Vote started in chat ${chatId} by ${user.username || user.id}: ${candidates.join(", ")}`,
+      );
+    },
+  });
+
+  /**
+   * Close the running vote early - starter or admin only
+   */
+  router.register({
+    name: "closevote",
+    description: "commands.closevote",
+    handler: async (msg, args, { t }) => {
+      const chatId = msg.chat.id;
+      const user = msg.from;
+
+      const vote = getVote(chatId);
+      if (!vote) {
+        await bot.sendMessage(chatId, t("vote.notRunning"));
+        return;
+      }
+
+      if (vote.startedBy !== user.id && !isAdmin(user)) {
+        await bot.sendMessage(chatId, t("vote.notAllowed"));
+        return;
+      }
+
+      await closeVote(bot, chatId);
+    },
+  });
+
+  logger.info("Vote commands registered");
+}
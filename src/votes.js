@@ -0,0 +1,87 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { VOTES_DB_PATH } from "./config.js";
+import { logger } from "./utils.js";
+
+/**
+ * Load the open votes of all chats from JSON file
+ * @param {string} filePath - Path to the votes database file
+ * @returns {Object<string, Object>} Votes keyed by chat ID
+ */
+export function loadVotes(filePath = VOTES_DB_PATH) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf-8"));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    logger.error(`Error loading votes: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the open votes of all chats to JSON file
+ * @param {Object} votes - Votes keyed by chat ID
+ * @param {string} filePath - Path to the votes database file
+ */
+export function saveVotes(votes, filePath = VOTES_DB_PATH) {
+  const dir = dirname(filePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(filePath, JSON.stringify(votes, null, 2), "utf-8");
+}
+
+/**
+ * Get the open vote of a chat
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object|null} Vote or null if none is open
+ */
+export function getVote(chatId) {
+  return loadVotes()[String(chatId)] || null;
+}
+
+/**
+ * Store a vote opened in a chat
+ * @param {{chatId: number, messageId: number, candidates: string[], list: string, slot: string|null, startedBy: number, closesAt: string}} vote - Vote
+ */
+export function openVote(vote) {
+  const votes = loadVotes();
+  votes[String(vote.chatId)] = vote;
+  saveVotes(votes);
+}
+
+/**
+ * Remove the open vote of a chat
+ * @param {number|string} chatId - Chat ID
+ * @returns {Object|null} The removed vote, or null if none was open
+ */
+export function removeVote(chatId) {
+  const votes = loadVotes();
+  const vote = votes[String(chatId)];
+  if (!vote) return null;
+
+  delete votes[String(chatId)];
+  saveVotes(votes);
+  return vote;
+}
+
+/**
+ * Pick the winning option of a stopped poll, resolving ties randomly
+ * @param {string[]} candidates - Foods in poll option order
+ * @param {Object} poll - Telegram Poll object returned by stopPoll
+ * @returns {{food: string, votes: number}|null} Winner or null if nobody voted
+ */
+export function pickWinner(candidates, poll) {
+  const counts = poll.options.map((option) => option.voter_count);
+  const maxVotes = Math.max(...counts);
+
+  if (maxVotes === 0) return null;
+
+  const leaders = candidates.filter((_, i) => counts[i] === maxVotes);
+  const food = leaders[Math.floor(Math.random() * leaders.length)];
+  return { food, votes: maxVotes };
+}
@@ -0,0 +1,102 @@
+import {
+  WEBHOOK_URL,
+  WEBHOOK_HOST,
+  WEBHOOK_PORT,
+  WEBHOOK_PATH,
+  WEBHOOK_SECRET,
+} from "./config.js";
+import { logger } from "./utils.js";
+import {
+  secretsMatch,
+  readBody,
+  startServer,
+  stopServer,
+} from "./httpUtils.js";
+
+// Header in which Telegram sends the secret token of the webhook
+const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+
+// The running webhook server, if any
+let server = null;
+
+/**
+ * Handle a request to the webhook server
+ * Only POSTs to WEBHOOK_PATH with the right secret token are passed to the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(bot, req, res) {
+  const path = new URL(req.url, "http://localhost").pathname;
+
+  if (path !== WEBHOOK_PATH) {
+    res.writeHead(404).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.writeHead(405, { Allow: "POST" }).end();
+    return;
+  }
+  if (!secretsMatch(req.headers[SECRET_HEADER], WEBHOOK_SECRET)) {
+    logger.warn("Rejected webhook request with a wrong secret token");
+    res.writeHead(401).end();
+    return;
+  }
+
+  const body = await readBody(req);
+  if (body === null) {
+    res.writeHead(413).end();
+    return;
+  }
+
+  let update;
+  try {
+    update = JSON.parse(body);
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+
+  // Answer right away, the handlers run on their own
+  bot.processUpdate(update);
+  res.writeHead(200).end();
+}
+
+/**
+ * Start the webhook server and register its URL with Telegram
+ * A failed registration is logged, the server keeps running so updates can
+ * still be POSTed to it locally
+ * @param {TelegramBot} bot - Telegram bot instance (without polling)
+ * @returns {Promise<void>}
+ */
+export async function startWebhook(bot) {
+  server = await startServer(
+    (req, res) => handleRequest(bot, req, res),
+    WEBHOOK_PORT,
+    WEBHOOK_HOST,
+  );
+  logger.info(
+    `Webhook server listening on http://${WEBHOOK_HOST}:${WEBHOOK_PORT}${WEBHOOK_PATH}`,
+  );
+
+  try {
+    await bot.setWebHook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET });
+    logger.info(`Webhook registered at ${WEBHOOK_URL}`);
+  } catch (error) {
+    logger.error(`Error registering webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Stop the webhook server, letting requests in progress finish
+ * The webhook stays registered, Telegram keeps the updates until the bot is
+ * back
+ * @returns {Promise<void>}
+ */
+export async function stopWebhook() {
+  if (!server) return;
+
+  await stopServer(server);
+  server = null;
+  logger.info("Webhook server stopped");
+}